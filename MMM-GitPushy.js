@@ -1,18 +1,28 @@
-/* global Module, moment */
+/* global Module, moment, GitPushyConfigSchema */
 
 Module.register("MMM-GitPushy", {
+  // Bumped whenever a GITPUSHY_* broadcast payload changes shape.
+  notificationVersion: 1,
+
   defaults: {
     auth: {
-      token: null,
+      credential: null,
+      ownerCredentials: {},
+      tokenFile: null,
       tokenEnvVar: "GITHUB_TOKEN",
-      apiBaseUrl: "https://api.github.com"
+      apiBaseUrl: "https://api.github.com",
+      apiMode: "rest",
+      graphqlUrl: null,
+      graphqlBatchSize: 10
     },
 
     targets: [],
 
     query: {
       state: "open",
-      includeDrafts: true
+      includeDrafts: true,
+      includeReviews: true,
+      includeChecks: true
     },
 
     display: {
@@ -23,12 +33,60 @@ Module.register("MMM-GitPushy", {
       showAdditionsDeletions: true,
       showFilesChanged: true,
       showAuthorAvatar: true,
+      showReviewState: true,
+      showChecks: true,
+      showMergeable: true,
       truncateTitleAt: 90,
-      showEmptyMessage: false
+      showEmptyMessage: false,
+      layout: "list",
+      pageSize: 5,
+      pageIntervalMs: 15000,
+      patchUpdates: true,
+      highlightNew: true,
+      animateExit: true,
+      exitAnimationMs: 600
+    },
+
+    filters: {
+      labels: { include: [], exclude: [] },
+      authors: { include: [], exclude: [] },
+      titles: { include: [], exclude: [] },
+      baseBranches: { include: [], exclude: [] },
+      headBranches: { include: [], exclude: [] },
+      age: { field: "created_at", minHours: null, maxHours: null },
+      size: { minChanges: null, maxChanges: null }
+    },
+
+    aging: {
+      field: "created_at",
+      warningHours: null,
+      criticalHours: null,
+      showBadge: true,
+      businessHours: {
+        enabled: false,
+        startHour: 9,
+        endHour: 17,
+        weekendDays: [0, 6],
+        holidays: []
+      }
+    },
+
+    sort: {
+      by: ["-updated_at"],
+      labelPriority: []
     },
 
     grouping: {
-      mode: "none"
+      mode: "none",
+      showCounts: true,
+      collapseAbove: null
+    },
+
+    summary: {
+      days: 7,
+      historyBucketMs: 3600000,
+      closedCacheTtlMs: 900000,
+      maxClosedPerRepo: 200
     },
 
     limits: {
@@ -40,11 +98,57 @@ Module.register("MMM-GitPushy", {
       updateIntervalMs: 60000,
       listCacheTtlMs: null,
       detailsCacheTtlMs: null,
+      statusCacheTtlMs: null,
+      repoListCacheTtlMs: 3600000,
+      concurrency: 4,
+      rateLimitReserve: 0.1,
+      persistCache: true,
+      persistMaxAgeMs: 604800000,
+      persistMaxBytes: 5242880,
       backoffOnRateLimit: true
     },
 
+    webhook: {
+      enabled: false,
+      secretEnvVar: "GITPUSHY_WEBHOOK_SECRET",
+      secretFile: null,
+      fallbackIntervalMs: 900000,
+      debounceMs: 2000
+    },
+
     alerts: {
-      showOnAuthError: true
+      showOnAuthError: true,
+      showToasts: false,
+      toastDurationMs: 10000,
+      events: {
+        opened: true,
+        merged: true,
+        closed: false,
+        reopened: true,
+        ready_for_review: true,
+        pushed: false,
+        size_jump: false,
+        aging_warning: false,
+        aging_critical: false
+      },
+      sizeJumpLines: 200,
+      quietHours: null
+    },
+
+    integrations: [],
+
+    api: {
+      enabled: false,
+      secretEnvVar: "GITPUSHY_API_SECRET",
+      secretFile: null
+    },
+
+    metrics: {
+      enabled: false,
+      windowDays: 30,
+      backfill: true,
+      maxBackfillsPerRefresh: 20,
+      retentionDays: 180
     },
 
     debug: {
@@ -56,7 +160,17 @@ Module.register("MMM-GitPushy", {
     this.prs = [];
     this.loaded = false;
     this.error = null;
+    this.targetErrors = [];
+    this.viewFilter = null;
+    this.summary = null;
+    this.metrics = null;
     this.instanceId = this.identifier;
+    this.configErrors = GitPushyConfigSchema.validateConfig(this.config).map(GitPushyConfigSchema.formatProblem);
+    // MagicMirror only merges the top level, so a partial display: {...} block
+    // would otherwise drop every display default it doesn't mention.
+    this.config = this.applyDefaults(this.config, this.defaults);
+    this.page = 0;
+    this.pageTimer = null;
 
     this.sendConfig();
     this.scheduleUpdate();
@@ -65,97 +179,759 @@ Module.register("MMM-GitPushy", {
   sendConfig() {
     this.sendSocketNotification("GITPUSHY_CONFIG", {
       instanceId: this.instanceId,
-      config: this.config
+      config: this.getHelperConfig()
+    });
+  },
+
+  getHelperConfig() {
+    const auth = { ...this.config.auth };
+    if (!auth.allowClientToken) {
+      delete auth.token;
+    }
+    return { ...this.config, auth };
+  },
+
+  applyDefaults(config, defaults) {
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+      return defaults;
+    }
+
+    const merged = { ...config };
+    Object.keys(defaults).forEach((key) => {
+      const value = defaults[key];
+      if (config[key] === undefined) {
+        merged[key] = value;
+      } else if (value && typeof value === "object" && !Array.isArray(value)) {
+        merged[key] = this.applyDefaults(config[key], value);
+      }
     });
+    return merged;
   },
 
   scheduleUpdate() {
-    const interval = this.config.refresh.updateIntervalMs;
     this.fetchData();
-    setInterval(() => this.fetchData(), interval);
+    setInterval(() => this.fetchData(), this.getPollInterval());
+  },
+
+  getPollInterval() {
+    const { refresh, webhook } = this.config;
+    const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    const interval = number(refresh.updateIntervalMs, this.defaults.refresh.updateIntervalMs);
+    const polled = webhook.enabled
+      ? Math.max(interval, number(webhook.fallbackIntervalMs, this.defaults.webhook.fallbackIntervalMs))
+      : interval;
+    // A zero or garbage interval would otherwise have setInterval fire back to back.
+    return Math.max(10000, polled);
   },
 
-  fetchData() {
+  fetchData(force = false) {
     this.sendSocketNotification("GITPUSHY_FETCH", {
       instanceId: this.instanceId,
-      config: this.config
+      config: this.getHelperConfig(),
+      force
     });
   },
 
+  getScripts() {
+    return [this.file("config-schema.js")];
+  },
+
   getStyles() {
     return ["MMM-GitPushy.css"];
   },
 
   getDom() {
+    // A full render (initial load, page flips) always starts from fresh nodes so the
+    // outgoing wrapper keeps its rows while MagicMirror fades it out.
+    this.nodeCache = new Map();
     const wrapper = document.createElement("div");
     wrapper.className = "gitpushy";
+    this.buildContent().forEach((node) => wrapper.appendChild(node));
+
+    this.wrapper = wrapper;
+    this.renderedSignature = this.getRenderSignature();
+    return wrapper;
+  },
+
+  buildContent() {
+    const nodes = [];
+    this.nextNodeCache = new Map();
 
     if (this.error) {
-      const errorEl = document.createElement("div");
-      errorEl.className = "gitpushy-error";
-      errorEl.textContent = this.error;
-      wrapper.appendChild(errorEl);
+      nodes.push(
+        this.cachedNode("error", this.error, () => {
+          const errorEl = document.createElement("div");
+          errorEl.className = "gitpushy-error";
+          errorEl.textContent = this.error;
+          return errorEl;
+        })
+      );
+    }
+
+    if (this.configErrors.length > 0) {
+      nodes.push(
+        this.cachedNode("config-errors", JSON.stringify(this.configErrors), () => this.buildConfigErrors())
+      );
+    }
+
+    if (this.viewFilter) {
+      const description = this.describeViewFilter();
+      nodes.push(
+        this.cachedNode("filter", description, () => {
+          const filterEl = document.createElement("div");
+          filterEl.className = "gitpushy-filter";
+          filterEl.textContent = `Filtered: ${description}`;
+          return filterEl;
+        })
+      );
+    }
+
+    if (this.targetErrors.length > 0) {
+      nodes.push(
+        this.cachedNode("target-errors", JSON.stringify(this.targetErrors), () => this.buildTargetErrors())
+      );
     }
 
     if (!this.loaded) {
       const loading = document.createElement("div");
       loading.className = "gitpushy-loading";
       loading.textContent = "Loading pull requests…";
-      wrapper.appendChild(loading);
-      return wrapper;
-    }
+      nodes.push(loading);
+    } else if (this.config.display.layout === "summary") {
+      if (this.summary) {
+        nodes.push(this.cachedNode("summary", JSON.stringify(this.summary), () => this.buildSummaryView()));
+      }
+    } else if (this.getVisiblePrs().length === 0) {
+      if (this.config.display.showEmptyMessage) {
+        const empty = document.createElement("div");
+        empty.className = "gitpushy-empty";
+        empty.textContent = "No pull requests.";
+        nodes.push(empty);
+      }
+    } else {
+      const layout = this.config.display.layout;
+      const visible = layout === "list" ? this.getVisiblePrs() : this.getPagePrs();
+
+      if (layout === "ticker") {
+        nodes.push(this.buildTicker(visible));
+      } else {
+        const modes = this.getGroupingModes();
+        if (modes.length > 0) {
+          this.renderGroups(nodes, visible, modes, 0, "");
+        } else {
+          visible.forEach((pr) => {
+            nodes.push(this.getRowNode(pr));
+          });
+        }
+      }
 
-    if (this.prs.length === 0) {
-      if (!this.config.display.showEmptyMessage) {
-        return wrapper;
+      if (layout !== "list" && this.getPageCount() > 1) {
+        nodes.push(this.buildPageIndicator());
       }
-      const empty = document.createElement("div");
-      empty.className = "gitpushy-empty";
-      empty.textContent = "No pull requests.";
-      wrapper.appendChild(empty);
-      return wrapper;
-    }
-
-    if (this.config.grouping.mode === "repo") {
-      const grouped = this.groupByRepo(this.prs);
-      grouped.forEach((group) => {
-        const header = document.createElement("div");
-        header.className = "gitpushy-repo-header";
-        header.textContent = group.repoLabel;
-        wrapper.appendChild(header);
-
-        group.items.forEach((pr) => {
-          wrapper.appendChild(this.buildRow(pr));
-        });
+    }
+
+    if (this.config.metrics.enabled && this.metrics) {
+      nodes.push(
+        this.cachedNode("metrics", JSON.stringify(this.metrics.overall), () => this.buildMetricsLine())
+      );
+    }
+
+    this.nodeCache = this.nextNodeCache;
+    // New rows are highlighted on the render that follows the data, not on later page flips.
+    this.newKeys = null;
+    return nodes;
+  },
+
+  buildConfigErrors() {
+    const list = document.createElement("div");
+    list.className = "gitpushy-error gitpushy-config-errors";
+
+    const heading = document.createElement("div");
+    heading.textContent = `MMM-GitPushy config: ${this.configErrors.length} problem${this.configErrors.length === 1 ? "" : "s"}`;
+    list.appendChild(heading);
+
+    this.configErrors.forEach((message) => {
+      const item = document.createElement("div");
+      item.className = "gitpushy-config-error";
+      item.textContent = message;
+      list.appendChild(item);
+    });
+    return list;
+  },
+
+  buildTargetErrors() {
+    const list = document.createElement("div");
+    list.className = "gitpushy-target-errors";
+    this.targetErrors.forEach((error) => {
+      const item = document.createElement("div");
+      item.className = `gitpushy-target-error gitpushy-target-error-${error.kind}`;
+      item.title = error.message;
+
+      const icon = document.createElement("span");
+      icon.className = "gitpushy-warning-icon";
+      icon.textContent = "⚠";
+      item.appendChild(icon);
+
+      const target = document.createElement("span");
+      target.className = "gitpushy-target-error-name";
+      target.textContent = error.target;
+      item.appendChild(target);
+
+      const message = document.createElement("span");
+      message.className = "gitpushy-target-error-message";
+      message.textContent = error.message;
+      item.appendChild(message);
+
+      list.appendChild(item);
+    });
+    return list;
+  },
+
+  cachedNode(key, signature, build) {
+    const cached = this.nodeCache && this.nodeCache.get(key);
+    if (cached && cached.signature === signature) {
+      this.nextNodeCache.set(key, cached);
+      return cached.node;
+    }
+    const node = build();
+    node.dataset.key = key;
+    this.nextNodeCache.set(key, { signature, node });
+    return node;
+  },
+
+  trackPullKeys() {
+    // Keys are tracked across the whole list, not the visible page, so page flips
+    // don't count as new or removed PRs.
+    const keys = new Set(this.prs.map((pr) => this.getPullKey(pr)));
+    const previous = this.knownKeys;
+    this.newKeys = new Set();
+    if (previous) {
+      keys.forEach((key) => {
+        if (!previous.has(key)) {
+          this.newKeys.add(key);
+        }
       });
+    }
+    this.knownKeys = keys;
+  },
+
+  getPullKey(pr) {
+    const host = /^https?:\/\/([^/]+)/.exec(pr.html_url || "");
+    return `${host ? host[1].toLowerCase() : ""}/${pr.owner || ""}/${pr.repo}#${pr.number}`;
+  },
+
+  getRowSignature(pr) {
+    const field = this.config.display.timestampField;
+    const timestamp = pr[field] || pr.updated_at;
+    return JSON.stringify([
+      pr.title,
+      pr.repoLabel,
+      pr.additions,
+      pr.deletions,
+      pr.changed_files,
+      pr.authorLogin,
+      pr.authorAvatarUrl,
+      pr.draft,
+      pr.reviewState,
+      pr.requestedReviewers,
+      pr.checksState,
+      pr.mergeable,
+      pr.mergeableState,
+      pr.agingLevel,
+      Number.isFinite(pr.ageHours) ? this.formatAge(pr.ageHours) : null,
+      timestamp ? this.formatTime(timestamp) : null
+    ]);
+  },
+
+  getRowNode(pr, path = "") {
+    const key = this.getPullKey(pr);
+    const isNew = Boolean(this.config.display.highlightNew && this.newKeys && this.newKeys.has(key));
+    // A PR can sit under several groups (one per label), so each gets its own node.
+    const node = this.cachedNode(`row${path}:${key}`, this.getRowSignature(pr), () => {
+      const row = this.buildRow(pr);
+      row.dataset.pull = key;
+      return row;
+    });
+    node.classList.toggle("gitpushy-row-new", isNew);
+    return node;
+  },
+
+  getRenderSignature() {
+    const layout = this.config.display.layout;
+    const visible = layout === "list" ? this.getVisiblePrs() : this.getPagePrs();
+    return JSON.stringify([
+      this.error,
+      this.targetErrors,
+      this.viewFilter,
+      this.loaded,
+      this.page,
+      this.getPageCount(),
+      layout === "summary" ? this.summary : null,
+      this.metrics ? this.metrics.overall : null,
+      visible.map((pr) => [this.getPullKey(pr), this.getRowSignature(pr)])
+    ]);
+  },
+
+  refreshDom() {
+    if (this.getRenderSignature() === this.renderedSignature) {
+      this.newKeys = null;
+      return;
+    }
+
+    const canPatch =
+      this.config.display.patchUpdates &&
+      this.config.display.layout !== "ticker" &&
+      this.wrapper &&
+      this.wrapper.isConnected;
+
+    if (!canPatch) {
+      this.updateDom(300);
+      return;
+    }
+
+    this.patchDom();
+  },
+
+  patchDom() {
+    const wrapper = this.wrapper;
+    const desired = this.buildContent();
+    const keep = new Set(desired);
+    const display = this.config.display;
+
+    Array.from(wrapper.childNodes).forEach((node) => {
+      if (keep.has(node) || node.classList.contains("gitpushy-row-exit")) {
+        return;
+      }
+      const pull = node.dataset.pull;
+      const removed = pull !== undefined && !this.knownKeys.has(pull);
+      if (display.animateExit && removed) {
+        node.classList.add("gitpushy-row-exit");
+        setTimeout(() => node.remove(), display.exitAnimationMs);
+        return;
+      }
+      wrapper.removeChild(node);
+    });
+
+    let cursor = wrapper.firstChild;
+    desired.forEach((node) => {
+      while (cursor && cursor.classList.contains("gitpushy-row-exit")) {
+        cursor = cursor.nextSibling;
+      }
+      if (cursor === node) {
+        cursor = cursor.nextSibling;
+        return;
+      }
+      wrapper.insertBefore(node, cursor);
+    });
+
+    this.renderedSignature = this.getRenderSignature();
+  },
+
+  getVisiblePrs() {
+    if (!this.viewFilter) {
+      return this.prs;
+    }
+    return this.prs.filter((pr) => this.matchesViewFilter(pr));
+  },
+
+  matchesViewFilter(pr) {
+    const matches = (values, candidates) =>
+      !values ||
+      values.some((value) =>
+        candidates.some((candidate) => candidate && String(candidate).toLowerCase() === value)
+      );
+    const { repo, author, label, base } = this.viewFilter;
+    return (
+      matches(repo, [pr.repo, pr.repoLabel, `${pr.owner}/${pr.repo}`]) &&
+      matches(author, [pr.authorLogin]) &&
+      matches(label, pr.labels || []) &&
+      matches(base, [pr.base && pr.base.ref])
+    );
+  },
+
+  setViewFilter(filter) {
+    const normalized = {};
+    ["repo", "author", "label", "base"].forEach((field) => {
+      const value = filter && filter[field];
+      const values = (Array.isArray(value) ? value : [value])
+        .filter((item) => typeof item === "string" && item.trim().length > 0)
+        .map((item) => item.trim().toLowerCase());
+      if (values.length > 0) {
+        normalized[field] = values;
+      }
+    });
+
+    this.viewFilter = Object.keys(normalized).length > 0 ? normalized : null;
+    this.page = 0;
+    this.scheduleRotation();
+    this.refreshDom();
+  },
+
+  describeViewFilter() {
+    return Object.keys(this.viewFilter)
+      .map((field) => `${field} ${this.viewFilter[field].join(", ")}`)
+      .join(" · ");
+  },
+
+  buildMetricsLine() {
+    const line = document.createElement("div");
+    line.className = "gitpushy-metrics";
+    const format = (hours) => (hours === null ? "–" : this.formatAge(hours));
+    const { timeToFirstReview, timeToMerge } = this.metrics.overall;
+    line.textContent =
+      `First review p50 ${format(timeToFirstReview.p50)} · p90 ${format(timeToFirstReview.p90)}` +
+      ` | Merge p50 ${format(timeToMerge.p50)} · p90 ${format(timeToMerge.p90)}` +
+      ` (${this.metrics.windowDays}d)`;
+    return line;
+  },
+
+  buildSummaryView() {
+    const summary = document.createElement("div");
+    summary.className = "gitpushy-summary";
+
+    const header = document.createElement("div");
+    header.className = "gitpushy-summary-row gitpushy-summary-header";
+    ["", "open", "median", "oldest", `merged ${this.summary.days}d`, "trend"].forEach((title) => {
+      const cell = document.createElement("span");
+      cell.textContent = title;
+      header.appendChild(cell);
+    });
+    summary.appendChild(header);
+
+    summary.appendChild(this.buildSummaryRow(this.summary.total, true));
+    this.summary.repos.forEach((repo) => {
+      summary.appendChild(this.buildSummaryRow(repo, false));
+    });
+    return summary;
+  },
+
+  buildSummaryRow(entry, isTotal) {
+    const row = document.createElement("div");
+    row.className = "gitpushy-summary-row";
+    if (isTotal) {
+      row.classList.add("gitpushy-summary-total");
+    }
+
+    const cell = (className, text) => {
+      const node = document.createElement("span");
+      node.className = className;
+      node.textContent = text;
+      row.appendChild(node);
+      return node;
+    };
+
+    cell("gitpushy-summary-label", entry.label);
+    const open = cell("gitpushy-summary-open", `${entry.open}`);
+    if (entry.draft > 0) {
+      const draft = document.createElement("span");
+      draft.className = "gitpushy-summary-draft";
+      draft.textContent = ` (${entry.draft} draft)`;
+      open.appendChild(draft);
+    }
+    cell("gitpushy-summary-age", entry.medianAgeHours === null ? "–" : this.formatAge(entry.medianAgeHours));
+    const oldest = cell(
+      "gitpushy-summary-oldest",
+      entry.oldest ? `${entry.oldest.repo ? `${entry.oldest.repo} ` : ""}#${entry.oldest.number} · ${this.formatAge(entry.oldest.ageHours)}` : "–"
+    );
+    if (entry.oldest) {
+      oldest.title = entry.oldest.title;
+    }
+
+    const merged = cell("gitpushy-summary-merged", "");
+    if (entry.mergedPerDay) {
+      merged.appendChild(this.buildSparkline(entry.mergedPerDay, "bars"));
+      const count = document.createElement("span");
+      count.className = "gitpushy-summary-merged-count";
+      count.textContent = `${entry.mergedPerDay.reduce((sum, value) => sum + value, 0)}`;
+      merged.appendChild(count);
     } else {
-      this.prs.forEach((pr) => {
-        wrapper.appendChild(this.buildRow(pr));
+      merged.textContent = "–";
+    }
+
+    const trend = cell("gitpushy-summary-trend", "");
+    if (entry.history.length > 1) {
+      trend.appendChild(this.buildSparkline(entry.history, "line"));
+    }
+
+    return row;
+  },
+
+  buildSparkline(values, type) {
+    const ns = "http://www.w3.org/2000/svg";
+    const width = 60;
+    const height = 16;
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("class", `gitpushy-sparkline gitpushy-sparkline-${type}`);
+    svg.setAttribute("width", width);
+    svg.setAttribute("height", height);
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+    const max = Math.max(1, ...values);
+    if (type === "bars") {
+      const barWidth = width / values.length;
+      values.forEach((value, index) => {
+        const barHeight = value > 0 ? Math.max(1, (value / max) * height) : 0;
+        const rect = document.createElementNS(ns, "rect");
+        rect.setAttribute("x", (index * barWidth).toFixed(1));
+        rect.setAttribute("y", (height - barHeight).toFixed(1));
+        rect.setAttribute("width", Math.max(1, barWidth - 1).toFixed(1));
+        rect.setAttribute("height", barHeight.toFixed(1));
+        svg.appendChild(rect);
       });
+      return svg;
     }
 
-    return wrapper;
+    // Lines are scaled between their own min and max so small swings stay visible.
+    const min = Math.min(...values);
+    const range = Math.max(1, max - min);
+    const step = width / (values.length - 1);
+    const points = values
+      .map((value, index) => `${(index * step).toFixed(1)},${(height - 1 - ((value - min) / range) * (height - 2)).toFixed(1)}`)
+      .join(" ");
+    const line = document.createElementNS(ns, "polyline");
+    line.setAttribute("points", points);
+    svg.appendChild(line);
+    return svg;
+  },
+
+  getPageCount() {
+    const size = Math.max(1, this.config.display.pageSize);
+    return Math.max(1, Math.ceil(this.getVisiblePrs().length / size));
+  },
+
+  getPagePrs() {
+    const size = Math.max(1, this.config.display.pageSize);
+    const start = this.page * size;
+    return this.getVisiblePrs().slice(start, start + size);
+  },
+
+  buildTicker(prs) {
+    const ticker = document.createElement("div");
+    ticker.className = "gitpushy-ticker";
+
+    const track = document.createElement("div");
+    track.className = "gitpushy-ticker-track";
+    track.style.animationDuration = `${this.config.display.pageIntervalMs}ms`;
+    prs.forEach((pr) => {
+      track.appendChild(this.buildRow(pr));
+    });
+
+    ticker.appendChild(track);
+    return ticker;
+  },
+
+  buildPageIndicator() {
+    const indicator = document.createElement("div");
+    indicator.className = "gitpushy-page-indicator";
+
+    const count = this.getPageCount();
+    for (let index = 0; index < count; index += 1) {
+      const dot = document.createElement("span");
+      dot.className = "gitpushy-page-dot";
+      if (index === this.page) {
+        dot.classList.add("gitpushy-page-dot-active");
+      }
+      indicator.appendChild(dot);
+    }
+
+    const label = document.createElement("span");
+    label.className = "gitpushy-page-label";
+    label.textContent = `${this.page + 1} / ${count}`;
+    indicator.appendChild(label);
+
+    return indicator;
+  },
+
+  scheduleRotation() {
+    if (this.pageTimer) {
+      clearInterval(this.pageTimer);
+      this.pageTimer = null;
+    }
+
+    if (this.config.display.layout === "list" || this.config.display.layout === "summary") {
+      return;
+    }
+
+    // Restarting the timer on every data update gives the refreshed page a full interval.
+    this.pageTimer = setInterval(() => this.nextPage(), this.config.display.pageIntervalMs);
+  },
+
+  nextPage() {
+    const count = this.getPageCount();
+    if (count <= 1) {
+      return;
+    }
+    this.page = (this.page + 1) % count;
+    this.updateDom(300);
+  },
+
+  clampPage() {
+    this.page = Math.min(this.page, this.getPageCount() - 1);
+  },
+
+  getGroupingModes() {
+    const mode = this.config.grouping.mode;
+    const modes = Array.isArray(mode) ? mode : [mode];
+    return modes.filter((entry) => entry && entry !== "none").slice(0, 2);
+  },
+
+  renderGroups(nodes, prs, modes, level, path) {
+    const grouping = this.config.grouping;
+    this.groupPulls(prs, modes[level]).forEach((group) => {
+      const groupPath = `${path}/${group.key}`;
+      const header = this.buildGroupHeader(group, modes[level], level);
+      nodes.push(this.cachedNode(`group:${groupPath}`, header.outerHTML, () => header));
+
+      const collapseAbove = grouping.collapseAbove;
+      if (Number.isFinite(collapseAbove) && group.items.length > collapseAbove) {
+        const summary = this.buildGroupSummary(group.items);
+        nodes.push(this.cachedNode(`summary:${groupPath}`, summary.outerHTML, () => summary));
+        return;
+      }
+
+      if (level + 1 < modes.length) {
+        this.renderGroups(nodes, group.items, modes, level + 1, groupPath);
+        return;
+      }
+
+      group.items.forEach((pr) => {
+        nodes.push(this.getRowNode(pr, groupPath));
+      });
+    });
   },
 
-  groupByRepo(prs) {
-    const byRepo = new Map();
+  buildGroupHeader(group, mode, level) {
+    const header = document.createElement("div");
+    header.className = `gitpushy-group-header gitpushy-group-level-${level}`;
+    if (mode === "repo") {
+      header.classList.add("gitpushy-repo-header");
+    }
+
+    const label = document.createElement("span");
+    label.className = "gitpushy-group-label";
+    label.textContent = group.label;
+    header.appendChild(label);
+
+    if (this.config.grouping.showCounts) {
+      const count = document.createElement("span");
+      count.className = "gitpushy-group-count";
+      count.textContent = `${group.items.length}`;
+      header.appendChild(count);
+    }
+
+    const stale = group.items.filter((pr) => this.isStale(pr)).length;
+    if (mode === "repo" && stale > 0) {
+      const staleNode = document.createElement("span");
+      staleNode.className = "gitpushy-group-stale";
+      staleNode.textContent = `${stale} stale`;
+      header.appendChild(staleNode);
+    }
+
+    return header;
+  },
+
+  buildGroupSummary(items) {
+    const drafts = items.filter((pr) => pr.draft).length;
+    const parts = [`${items.length} pull requests`];
+    if (drafts > 0) {
+      parts.push(`${drafts} draft`);
+    }
+    const approved = items.filter((pr) => pr.reviewState === "approved").length;
+    if (approved > 0) {
+      parts.push(`${approved} approved`);
+    }
+
+    const summary = document.createElement("div");
+    summary.className = "gitpushy-group-summary";
+    summary.textContent = parts.join(" • ");
+    return summary;
+  },
+
+  groupPulls(prs, mode) {
+    const groups = new Map();
     prs.forEach((pr) => {
+      this.getGroupKeys(pr, mode).forEach(({ key, label }) => {
+        if (!groups.has(key)) {
+          groups.set(key, { key, label, items: [] });
+        }
+        groups.get(key).items.push(pr);
+      });
+    });
+
+    const order = this.getGroupOrder(mode);
+    const list = Array.from(groups.values());
+    if (!order) {
+      return list;
+    }
+    return list.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+  },
+
+  getGroupOrder(mode) {
+    const orders = {
+      draft: ["ready", "draft"],
+      review: ["changes_requested", "review_required", "approved", "unknown"],
+      age: ["today", "week", "older"]
+    };
+    return orders[mode] || null;
+  },
+
+  getGroupKeys(pr, mode) {
+    if (mode === "repo") {
       const label = pr.repoLabel || pr.repo;
-      if (!byRepo.has(label)) {
-        byRepo.set(label, []);
+      return [{ key: label, label }];
+    }
+
+    if (mode === "author") {
+      const login = pr.authorLogin || "Unknown author";
+      return [{ key: login, label: login }];
+    }
+
+    if (mode === "base") {
+      const ref = (pr.base && pr.base.ref) || "Unknown base";
+      return [{ key: ref, label: ref }];
+    }
+
+    if (mode === "label") {
+      const labels = pr.labels && pr.labels.length > 0 ? pr.labels : [null];
+      return labels.map((name) => ({ key: name || "", label: name || "No label" }));
+    }
+
+    if (mode === "draft") {
+      return pr.draft ? [{ key: "draft", label: "Drafts" }] : [{ key: "ready", label: "Ready for review" }];
+    }
+
+    if (mode === "review") {
+      const labels = {
+        approved: "Approved",
+        changes_requested: "Changes requested",
+        review_required: "Review required",
+        unknown: "No review state"
+      };
+      const key = labels[pr.reviewState] ? pr.reviewState : "unknown";
+      return [{ key, label: labels[key] }];
+    }
+
+    if (mode === "age") {
+      const field = this.config.display.timestampField;
+      const ageMs = Date.now() - new Date(pr[field] || pr.updated_at).getTime();
+      if (ageMs < 86400000) {
+        return [{ key: "today", label: "Today" }];
       }
-      byRepo.get(label).push(pr);
-    });
+      if (ageMs < 7 * 86400000) {
+        return [{ key: "week", label: "This week" }];
+      }
+      return [{ key: "older", label: "Older" }];
+    }
 
-    return Array.from(byRepo.entries()).map(([repoLabel, items]) => ({
-      repoLabel,
-      items
-    }));
+    return [{ key: "", label: "" }];
   },
 
   buildRow(pr) {
     const row = document.createElement("div");
     row.className = "gitpushy-row";
+    if (this.isStale(pr)) {
+      row.classList.add(`gitpushy-row-${pr.agingLevel}`);
+    }
 
     const title = this.truncate(pr.title, this.config.display.truncateTitleAt);
 
@@ -242,6 +1018,15 @@ Module.register("MMM-GitPushy", {
       container.appendChild(diff);
     }
 
+    this.buildStatusPills(pr).forEach((pill) => container.appendChild(pill));
+
+    if (this.config.aging.showBadge && this.isStale(pr) && Number.isFinite(pr.ageHours)) {
+      const badge = document.createElement("span");
+      badge.className = `gitpushy-pill gitpushy-pill-age gitpushy-age-${pr.agingLevel}`;
+      badge.textContent = this.formatAge(pr.ageHours);
+      container.appendChild(badge);
+    }
+
     if (hasTime) {
       const field = this.config.display.timestampField;
       const timestamp = pr[field] || pr.updated_at;
@@ -260,6 +1045,63 @@ Module.register("MMM-GitPushy", {
     return container;
   },
 
+  buildStatusPills(pr) {
+    const pills = [];
+    const display = this.config.display;
+
+    if (display.showReviewState && pr.reviewState) {
+      const labels = {
+        approved: "Approved",
+        changes_requested: "Changes requested",
+        review_required: "Review required"
+      };
+      const review = this.createStatusPill(
+        "review",
+        pr.reviewState,
+        labels[pr.reviewState] || pr.reviewState
+      );
+      if (pr.requestedReviewers && pr.requestedReviewers.length > 0) {
+        review.title = `Requested: ${pr.requestedReviewers.join(", ")}`;
+      }
+      pills.push(review);
+    }
+
+    if (display.showChecks && pr.checksState) {
+      const labels = {
+        success: "✓ CI",
+        failure: "✗ CI",
+        pending: "● CI"
+      };
+      pills.push(
+        this.createStatusPill("checks", pr.checksState, labels[pr.checksState] || pr.checksState)
+      );
+    }
+
+    if (display.showMergeable && (pr.mergeable === false || pr.mergeableState === "dirty")) {
+      pills.push(this.createStatusPill("merge", "conflict", "Conflicts"));
+    }
+
+    return pills;
+  },
+
+  createStatusPill(kind, state, label) {
+    const pill = document.createElement("span");
+    pill.className = `gitpushy-pill gitpushy-pill-status gitpushy-pill-${kind} gitpushy-${kind}-${state.replace(/_/g, "-")}`;
+    pill.textContent = label;
+    return pill;
+  },
+
+  isStale(pr) {
+    return pr.agingLevel === "warning" || pr.agingLevel === "critical";
+  },
+
+  formatAge(hours) {
+    if (hours < 48) {
+      return `${Math.floor(hours)}h`;
+    }
+    return `${Math.floor(hours / 24)}d`;
+  },
+
   formatTime(timestamp) {
     if (!moment) {
       return timestamp;
@@ -279,6 +1121,149 @@ Module.register("MMM-GitPushy", {
     return `${text.slice(0, limit - 1)}…`;
   },
 
+  notificationReceived(notification, payload) {
+    if (!notification.startsWith("GITPUSHY_")) {
+      return;
+    }
+    // Without an instanceId every GitPushy instance reacts.
+    if (payload && payload.instanceId && payload.instanceId !== this.instanceId) {
+      return;
+    }
+
+    if (notification === "GITPUSHY_REFRESH") {
+      this.fetchData(true);
+      return;
+    }
+
+    if (notification === "GITPUSHY_SET_FILTER") {
+      this.setViewFilter(payload && payload.filter);
+      return;
+    }
+
+    if (notification === "GITPUSHY_SHOW_REPO") {
+      this.setViewFilter({ repo: payload && payload.repo });
+      return;
+    }
+
+    if (notification === "GITPUSHY_NEXT_PAGE") {
+      this.nextPage();
+      this.scheduleRotation();
+    }
+  },
+
+  broadcastChanges(events) {
+    (events || []).forEach((event) => {
+      const fields = { event: event.type, at: event.at, details: event.details, pr: this.summarizePull(event.pr) };
+      this.sendNotification("GITPUSHY_PR_EVENT", this.buildBroadcast(fields));
+      if (event.type === "opened") {
+        this.sendNotification("GITPUSHY_NEW_PR", this.buildBroadcast({ pr: fields.pr }));
+      } else if (event.type === "merged") {
+        this.sendNotification("GITPUSHY_PR_MERGED", this.buildBroadcast({ pr: fields.pr }));
+      }
+      this.showEventAlert(event);
+    });
+    this.sendNotification("GITPUSHY_COUNTS", this.buildBroadcast(this.buildCounts()));
+  },
+
+  showEventAlert(event) {
+    const alerts = this.config.alerts;
+    const enabled = alerts.events || this.defaults.alerts.events;
+    if (!alerts.showToasts || !enabled[event.type] || this.isQuietHours(alerts.quietHours)) {
+      return;
+    }
+
+    const titles = {
+      opened: "New pull request",
+      merged: "Pull request merged",
+      closed: "Pull request closed",
+      reopened: "Pull request reopened",
+      ready_for_review: "Ready for review",
+      pushed: "New commits pushed",
+      size_jump: "Pull request size changed",
+      aging_warning: "Pull request getting old",
+      aging_critical: "Pull request stale"
+    };
+    const pr = event.pr;
+    let message = `${pr.repoLabel || pr.repo} #${pr.number}: ${this.truncate(pr.title || "", 80)}`;
+    if (event.type === "size_jump") {
+      message += ` (${event.details.previousChanges} → ${event.details.changes} lines)`;
+    }
+
+    this.sendNotification("SHOW_ALERT", {
+      type: "notification",
+      title: titles[event.type] || event.type,
+      message,
+      timer: alerts.toastDurationMs
+    });
+  },
+
+  isQuietHours(quietHours, now = new Date()) {
+    if (!quietHours || !quietHours.start || !quietHours.end) {
+      return false;
+    }
+    const toMinutes = (value) => {
+      const [hours, minutes] = String(value).split(":").map(Number);
+      return hours * 60 + (minutes || 0);
+    };
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+    // A window like 22:00–07:00 wraps past midnight.
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+  },
+
+  buildBroadcast(fields) {
+    return {
+      version: this.notificationVersion,
+      instanceId: this.instanceId,
+      ...fields
+    };
+  },
+
+  summarizePull(pr) {
+    return {
+      key: this.getPullKey(pr),
+      provider: pr.provider,
+      owner: pr.owner,
+      repo: pr.repo,
+      repoLabel: pr.repoLabel,
+      number: pr.number,
+      title: pr.title,
+      url: pr.html_url,
+      author: pr.authorLogin,
+      draft: Boolean(pr.draft),
+      state: pr.state,
+      merged: Boolean(pr.merged || pr.merged_at),
+      baseRef: pr.base ? pr.base.ref : null,
+      labels: pr.labels || [],
+      reviewState: pr.reviewState || null
+    };
+  },
+
+  buildCounts() {
+    const byState = { open: 0, draft: 0, stale: 0 };
+    const byReview = { approved: 0, changes_requested: 0, review_required: 0 };
+    const byRepo = {};
+    this.prs.forEach((pr) => {
+      const repoKey = `${pr.owner}/${pr.repo}`;
+      if (!byRepo[repoKey]) {
+        byRepo[repoKey] = { label: pr.repoLabel || pr.repo, total: 0, open: 0, draft: 0, stale: 0 };
+      }
+      const state = pr.draft ? "draft" : "open";
+      byState[state] += 1;
+      byRepo[repoKey].total += 1;
+      byRepo[repoKey][state] += 1;
+      if (this.isStale(pr)) {
+        byState.stale += 1;
+        byRepo[repoKey].stale += 1;
+      }
+      if (pr.reviewState) {
+        byReview[pr.reviewState] = (byReview[pr.reviewState] || 0) + 1;
+      }
+    });
+    return { total: this.prs.length, byState, byReview, byRepo };
+  },
+
   socketNotificationReceived(notification, payload) {
     if (!payload || payload.instanceId !== this.instanceId) {
       return;
@@ -286,19 +1271,36 @@ Module.register("MMM-GitPushy", {
 
     if (notification === "GITPUSHY_DATA") {
       this.error = null;
+      this.targetErrors = payload.errors || [];
+      this.summary = payload.summary || this.summary;
       this.loaded = true;
       this.prs = payload.prs || [];
-      this.updateDom(300);
+      this.trackPullKeys();
+      this.broadcastChanges(payload.events);
+      this.clampPage();
+      this.scheduleRotation();
+      this.refreshDom();
       return;
     }
 
     if (notification === "GITPUSHY_ERROR") {
       this.loaded = true;
       this.error = payload.message || "Error loading pull requests.";
+      // A single failure is already spelled out in the message.
+      this.targetErrors = payload.errors && payload.errors.length > 1 ? payload.errors : [];
       if (payload.prs) {
         this.prs = payload.prs;
+        this.trackPullKeys();
+        this.clampPage();
       }
-      this.updateDom(300);
+      this.scheduleRotation();
+      this.refreshDom();
+      return;
+    }
+
+    if (notification === "GITPUSHY_METRICS") {
+      this.metrics = payload.metrics;
+      this.refreshDom();
       return;
     }
 
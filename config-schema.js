@@ -0,0 +1,503 @@
+/* global module */
+
+// Shared by the node helper (require) and the browser module (getScripts), so both sides
+// report the same problems for the same config.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GitPushyConfigSchema = factory();
+  }
+})(this, () => {
+  const bool = () => ({ type: "boolean" });
+  const number = (options = {}) => ({ type: "number", ...options });
+  const string = (options = {}) => ({ type: "string", ...options });
+  const oneOf = (values, options = {}) => ({ type: "string", enum: values, ...options });
+  const array = (items, options = {}) => ({ type: "array", items, ...options });
+  const object = (fields, options = {}) => ({ type: "object", fields, ...options });
+  const record = (values, options = {}) => ({ type: "record", values, ...options });
+  const any = () => ({ type: "any" });
+
+  const strings = (options) => array(string(), options);
+  const includeExclude = () => object({ include: strings(), exclude: strings() });
+  const optionalMs = () => number({ min: 0, nullable: true });
+
+  const GROUPING_MODES = ["none", "repo", "author", "base", "label", "draft", "review", "age"];
+  const SORT_KEYS = ["updated_at", "created_at", "size", "files", "repo", "author", "draft", "labelPriority"];
+  const EVENT_TYPES = [
+    "opened",
+    "merged",
+    "closed",
+    "reopened",
+    "ready_for_review",
+    "pushed",
+    "size_jump",
+    "aging_warning",
+    "aging_critical"
+  ];
+  const TIMESTAMP_FIELDS = ["updated_at", "created_at"];
+
+  const FILTERS = object({
+    labels: includeExclude(),
+    authors: includeExclude(),
+    titles: includeExclude(),
+    baseBranches: includeExclude(),
+    headBranches: includeExclude(),
+    age: object({
+      field: oneOf(TIMESTAMP_FIELDS),
+      minHours: number({ min: 0, nullable: true }),
+      maxHours: number({ min: 0, nullable: true })
+    }),
+    size: object({
+      minChanges: number({ min: 0, nullable: true }),
+      maxChanges: number({ min: 0, nullable: true })
+    })
+  });
+
+  const AGING = object({
+    field: oneOf(TIMESTAMP_FIELDS),
+    warningHours: number({ min: 0, nullable: true }),
+    criticalHours: number({ min: 0, nullable: true }),
+    showBadge: bool(),
+    businessHours: object({
+      enabled: bool(),
+      startHour: number({ min: 0, max: 24 }),
+      endHour: number({ min: 0, max: 24 }),
+      weekendDays: array(number({ min: 0, max: 6, integer: true })),
+      holidays: array(string({ pattern: /^\d{4}-\d{2}-\d{2}$/, format: "YYYY-MM-DD" }))
+    })
+  });
+
+  // One shape covers repo, org/user and search targets; which keys make sense together
+  // is checked by checkTarget.
+  const TARGET = object({
+    provider: oneOf(["github", "gitlab", "gitea"]),
+    apiBaseUrl: string(),
+    graphqlUrl: string({ nullable: true }),
+    credential: string({ nullable: true }),
+    owner: string(),
+    repo: string(),
+    displayName: string({ nullable: true }),
+    baseBranchesMode: oneOf(["defaultOnly", "all", "list"]),
+    baseBranches: strings(),
+    defaultBranchOverride: string({ nullable: true }),
+    org: string(),
+    user: string(),
+    include: strings(),
+    exclude: strings(),
+    includeArchived: bool(),
+    includeForks: bool(),
+    search: string(),
+    repoLabels: record(string()),
+    filters: FILTERS,
+    aging: AGING
+  });
+
+  // Commands, URLs and headers live in the helper's integrations.json; the config only picks
+  // one by name and can narrow which events it gets.
+  const INTEGRATION = object({
+    name: string(),
+    events: array(oneOf(EVENT_TYPES)),
+    repos: strings({ nullable: true }),
+    authors: strings({ nullable: true })
+  });
+
+  const CONFIG_SCHEMA = object({
+    auth: object({
+      token: string({ nullable: true }),
+      allowClientToken: bool(),
+      credential: string({ nullable: true }),
+      ownerCredentials: record(string()),
+      tokenFile: string({ nullable: true }),
+      tokenEnvVar: string({ nullable: true }),
+      apiBaseUrl: string(),
+      apiMode: oneOf(["rest", "graphql"]),
+      graphqlUrl: string({ nullable: true }),
+      graphqlBatchSize: number({ min: 1, integer: true })
+    }),
+
+    targets: array(TARGET),
+
+    query: object({
+      state: oneOf(["open", "closed", "all"]),
+      includeDrafts: bool(),
+      includeReviews: bool(),
+      includeChecks: bool()
+    }),
+
+    display: object({
+      showRepoName: bool(),
+      showTimestamp: bool(),
+      timestampField: oneOf(TIMESTAMP_FIELDS),
+      timeFormat: oneOf(["relative", "absolute"]),
+      showAdditionsDeletions: bool(),
+      showFilesChanged: bool(),
+      showAuthorAvatar: bool(),
+      showReviewState: bool(),
+      showChecks: bool(),
+      showMergeable: bool(),
+      debugAuthorAvatar: bool(),
+      truncateTitleAt: number({ min: 0, nullable: true }),
+      showEmptyMessage: bool(),
+      layout: oneOf(["list", "pager", "ticker", "summary"]),
+      pageSize: number({ min: 1, integer: true }),
+      pageIntervalMs: number({ min: 1000 }),
+      patchUpdates: bool(),
+      highlightNew: bool(),
+      animateExit: bool(),
+      exitAnimationMs: number({ min: 0 })
+    }),
+
+    filters: FILTERS,
+
+    aging: AGING,
+
+    sort: object({
+      by: array(oneOf(SORT_KEYS.flatMap((key) => [key, `-${key}`]))),
+      labelPriority: strings()
+    }),
+
+    grouping: object({
+      mode: { anyOf: [oneOf(GROUPING_MODES), array(oneOf(GROUPING_MODES))] },
+      showCounts: bool(),
+      collapseAbove: number({ min: 0, nullable: true })
+    }),
+
+    summary: object({
+      days: number({ min: 1, integer: true }),
+      historyBucketMs: number({ min: 60000 }),
+      closedCacheTtlMs: number({ min: 0 }),
+      maxClosedPerRepo: number({ min: 1, integer: true })
+    }),
+
+    limits: object({
+      maxTotal: number({ min: 1, integer: true }),
+      maxPerRepo: number({ min: 1, integer: true })
+    }),
+
+    refresh: object({
+      updateIntervalMs: number({ min: 1000 }),
+      listCacheTtlMs: optionalMs(),
+      detailsCacheTtlMs: optionalMs(),
+      statusCacheTtlMs: optionalMs(),
+      repoListCacheTtlMs: number({ min: 0 }),
+      concurrency: number({ min: 1, integer: true }),
+      rateLimitReserve: number({ min: 0, max: 1 }),
+      persistCache: bool(),
+      persistMaxAgeMs: number({ min: 0 }),
+      persistMaxBytes: number({ min: 0 }),
+      backoffOnRateLimit: bool()
+    }),
+
+    webhook: object({
+      enabled: bool(),
+      secretEnvVar: string({ nullable: true }),
+      secretFile: string({ nullable: true }),
+      fallbackIntervalMs: number({ min: 1000 }),
+      debounceMs: number({ min: 0 })
+    }),
+
+    alerts: object({
+      showOnAuthError: bool(),
+      showToasts: bool(),
+      toastDurationMs: number({ min: 0 }),
+      events: object(Object.fromEntries(EVENT_TYPES.map((type) => [type, bool()]))),
+      sizeJumpLines: number({ min: 0 }),
+      quietHours: object(
+        {
+          start: string({ pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, format: "HH:MM" }),
+          end: string({ pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, format: "HH:MM" })
+        },
+        { nullable: true }
+      )
+    }),
+
+    integrations: array(INTEGRATION),
+
+    api: object({
+      enabled: bool(),
+      secretEnvVar: string({ nullable: true }),
+      secretFile: string({ nullable: true })
+    }),
+
+    metrics: object({
+      enabled: bool(),
+      windowDays: number({ min: 1 }),
+      backfill: bool(),
+      maxBackfillsPerRefresh: number({ min: 0, integer: true }),
+      retentionDays: number({ min: 1 })
+    }),
+
+    debug: object({
+      logApiResponses: bool()
+    })
+  });
+
+  function describeValue(value) {
+    if (value === null) {
+      return "null";
+    }
+    if (Array.isArray(value)) {
+      return "an array";
+    }
+    if (typeof value === "string") {
+      return `"${value}"`;
+    }
+    if (typeof value === "object") {
+      return "an object";
+    }
+    return String(value);
+  }
+
+  function joinPath(path, key) {
+    if (typeof key === "number") {
+      return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+  }
+
+  function distance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i += 1) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const above = previous[j];
+        previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diagonal = above;
+      }
+    }
+    return previous[b.length];
+  }
+
+  // Closest candidate within roughly a third of its length, e.g. "repos" → "repo".
+  function suggest(value, candidates) {
+    const needle = String(value).toLowerCase();
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach((candidate) => {
+      const score = distance(needle, String(candidate).toLowerCase());
+      const limit = Math.max(2, Math.floor(String(candidate).length / 3));
+      if (score <= limit && score < bestDistance) {
+        best = candidate;
+        bestDistance = score;
+      }
+    });
+    return best;
+  }
+
+  function withSuggestion(message, value, candidates) {
+    const match = suggest(value, candidates);
+    return match === null ? message : `${message} (did you mean "${match}"?)`;
+  }
+
+  function checkType(schema, value) {
+    if (schema.type === "any") {
+      return true;
+    }
+    if (schema.type === "number") {
+      return typeof value === "number" && Number.isFinite(value);
+    }
+    if (schema.type === "array") {
+      return Array.isArray(value);
+    }
+    if (schema.type === "object" || schema.type === "record") {
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    }
+    return typeof value === schema.type;
+  }
+
+  function typeName(schema) {
+    if (schema.anyOf) {
+      return schema.anyOf.map(typeName).join(" or ");
+    }
+    const names = { array: "an array", object: "an object", record: "an object", number: "a number" };
+    return names[schema.type] || `a ${schema.type}`;
+  }
+
+  function validateValue(schema, value, path, problems) {
+    if (value === undefined) {
+      return;
+    }
+    if (value === null && (schema.nullable || schema.type === "any")) {
+      return;
+    }
+
+    if (schema.anyOf) {
+      const matching = schema.anyOf.find((option) => checkType(option, value));
+      if (!matching) {
+        problems.push({ path, message: `expected ${typeName(schema)}, got ${describeValue(value)}` });
+        return;
+      }
+      validateValue(matching, value, path, problems);
+      return;
+    }
+
+    if (!checkType(schema, value)) {
+      problems.push({ path, message: `expected ${typeName(schema)}, got ${describeValue(value)}` });
+      return;
+    }
+
+    if (schema.type === "number") {
+      if (schema.integer && !Number.isInteger(value)) {
+        problems.push({ path, message: `expected a whole number, got ${value}` });
+      } else if (schema.min !== undefined && value < schema.min) {
+        problems.push({ path, message: `must be at least ${schema.min}, got ${value}` });
+      } else if (schema.max !== undefined && value > schema.max) {
+        problems.push({ path, message: `must be at most ${schema.max}, got ${value}` });
+      }
+      return;
+    }
+
+    if (schema.type === "string") {
+      if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({
+          path,
+          message: withSuggestion(
+            `"${value}" is not one of ${schema.enum.map((option) => `"${option}"`).join(", ")}`,
+            value,
+            schema.enum
+          )
+        });
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        problems.push({ path, message: `"${value}" should look like ${schema.format}` });
+      }
+      return;
+    }
+
+    if (schema.type === "array") {
+      value.forEach((item, index) => validateValue(schema.items, item, joinPath(path, index), problems));
+      return;
+    }
+
+    if (schema.type === "record") {
+      Object.keys(value).forEach((key) => validateValue(schema.values, value[key], joinPath(path, key), problems));
+      return;
+    }
+
+    if (schema.type === "object") {
+      const known = Object.keys(schema.fields);
+      Object.keys(value).forEach((key) => {
+        const field = schema.fields[key];
+        if (!field) {
+          problems.push({ path: joinPath(path, key), message: withSuggestion("unknown option", key, known) });
+          return;
+        }
+        validateValue(field, value[key], joinPath(path, key), problems);
+      });
+    }
+  }
+
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+  function checkRange(problems, path, min, max, minKey, maxKey) {
+    if (isNumber(min) && isNumber(max) && min > max) {
+      problems.push({ path, message: `${minKey} (${min}) is larger than ${maxKey} (${max})` });
+    }
+  }
+
+  function checkFiltersAndAging(filters, aging, path, problems) {
+    if (filters && filters.age) {
+      checkRange(problems, joinPath(path, "filters.age"), filters.age.minHours, filters.age.maxHours, "minHours", "maxHours");
+    }
+    if (filters && filters.size) {
+      checkRange(
+        problems,
+        joinPath(path, "filters.size"),
+        filters.size.minChanges,
+        filters.size.maxChanges,
+        "minChanges",
+        "maxChanges"
+      );
+    }
+    if (aging) {
+      checkRange(problems, joinPath(path, "aging"), aging.warningHours, aging.criticalHours, "warningHours", "criticalHours");
+      const hours = aging.businessHours;
+      if (hours && hours.enabled && isNumber(hours.startHour) && isNumber(hours.endHour) && hours.startHour >= hours.endHour) {
+        problems.push({
+          path: joinPath(path, "aging.businessHours"),
+          message: `startHour (${hours.startHour}) must be before endHour (${hours.endHour})`
+        });
+      }
+    }
+  }
+
+  function checkTarget(target, path, problems) {
+    if (!target || typeof target !== "object" || Array.isArray(target)) {
+      return;
+    }
+
+    if (target.search) {
+      if (target.provider && target.provider !== "github") {
+        problems.push({ path: joinPath(path, "search"), message: "search targets only work with GitHub" });
+      }
+    } else if (target.org || target.user) {
+      if (target.org && target.user) {
+        problems.push({ path, message: "set either org or user, not both" });
+      }
+    } else if (!target.owner || !target.repo) {
+      const missing = target.owner ? "repo" : target.repo ? "owner" : "owner and repo";
+      problems.push({ path, message: `needs ${missing} (or search, org or user)` });
+    }
+
+    const mode = target.baseBranchesMode;
+    if (mode === "list" && !(Array.isArray(target.baseBranches) && target.baseBranches.length > 0)) {
+      problems.push({
+        path: joinPath(path, "baseBranches"),
+        message: 'baseBranchesMode "list" needs at least one branch in baseBranches'
+      });
+    }
+
+    checkFiltersAndAging(target.filters, target.aging, path, problems);
+  }
+
+  // Combinations that are individually valid but can't work together.
+  function checkCombinations(config, problems) {
+    if (Array.isArray(config.targets)) {
+      config.targets.forEach((target, index) => checkTarget(target, joinPath("targets", index), problems));
+    }
+
+    checkFiltersAndAging(config.filters, config.aging, "", problems);
+
+    const grouping = config.grouping;
+    if (grouping && Array.isArray(grouping.mode)) {
+      if (grouping.mode.length > 2) {
+        problems.push({ path: "grouping.mode", message: "at most two grouping levels are supported" });
+      }
+      if (grouping.mode.includes("none") && grouping.mode.length > 1) {
+        problems.push({ path: "grouping.mode", message: '"none" can\'t be combined with other modes' });
+      }
+    }
+
+    if (Array.isArray(config.integrations)) {
+      config.integrations.forEach((integration, index) => {
+        if (!integration || typeof integration !== "object") {
+          return;
+        }
+        if (!integration.name) {
+          problems.push({
+            path: joinPath("integrations", index),
+            message: "needs the name of an entry in integrations.json"
+          });
+        }
+      });
+    }
+  }
+
+  // Returns [{ path, message }] for everything wrong with the config; an empty list means valid.
+  function validateConfig(config) {
+    const problems = [];
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+      return [{ path: "config", message: `expected an object, got ${describeValue(config)}` }];
+    }
+    validateValue(CONFIG_SCHEMA, config, "", problems);
+    checkCombinations(config, problems);
+    return problems;
+  }
+
+  function formatProblem(problem) {
+    return `${problem.path}: ${problem.message}`;
+  }
+
+  return { CONFIG_SCHEMA, validateConfig, formatProblem, suggest };
+});
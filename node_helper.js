@@ -1,19 +1,101 @@
 const NodeHelper = require("node_helper");
 const Log = require("logger");
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const fetch = require("node-fetch");
+const { validateConfig, formatProblem } = require("./config-schema");
+
+const CACHE_SCHEMA_VERSION = 2;
+const METRICS_SCHEMA_VERSION = 2;
+
+const SCHEDULER = {
+  maxConcurrentRequests: 6,
+  maxWaitMs: 60000,
+  secondaryBackoffMs: 60000,
+  maxRetries: 2,
+  retryBaseMs: 1000
+};
+
+const ERROR_MESSAGES = {
+  auth: "Authentication failed",
+  "not-found": "Not found or no access",
+  "rate-limit": "Rate limit reached",
+  network: "Network error",
+  server: "Server error",
+  unknown: "Request failed"
+};
+
+const PROVIDER_BASE_URLS = {
+  gitlab: "https://gitlab.com/api/v4",
+  gitea: "https://codeberg.org/api/v1"
+};
+
+const PROVIDER_WEB_HOSTS = {
+  github: "github.com",
+  gitlab: "gitlab.com",
+  gitea: "codeberg.org"
+};
+
+const GRAPHQL_PULL_FIELDS = `
+fragment PullFields on PullRequest {
+  number
+  title
+  url
+  state
+  isDraft
+  createdAt
+  updatedAt
+  additions
+  deletions
+  changedFiles
+  labels(first: 20) { nodes { name } }
+  baseRefName
+  headRefName
+  headRefOid
+  mergedAt
+  baseRepository { nameWithOwner }
+  author { login avatarUrl }
+  mergeable
+  reviewDecision @include(if: $withReviews)
+  latestOpinionatedReviews(first: 20) @include(if: $withReviews) {
+    nodes { state author { login } }
+  }
+  reviewRequests(first: 20) {
+    nodes {
+      requestedReviewer {
+        ... on User { login }
+        ... on Team { slug }
+      }
+    }
+  }
+  commits(last: 1) @include(if: $withChecks) {
+    nodes { commit { statusCheckRollup { state } } }
+  }
+}`;
 
 const DEFAULT_CONFIG = {
   auth: {
     token: null,
+    allowClientToken: false,
+    credential: null,
+    ownerCredentials: {},
+    tokenFile: null,
     tokenEnvVar: "GITHUB_TOKEN",
-    apiBaseUrl: "https://api.github.com"
+    apiBaseUrl: "https://api.github.com",
+    apiMode: "rest",
+    graphqlUrl: null,
+    graphqlBatchSize: 10
   },
 
   targets: [],
 
   query: {
     state: "open",
-    includeDrafts: true
+    includeDrafts: true,
+    includeReviews: true,
+    includeChecks: true
   },
 
   display: {
@@ -24,11 +106,52 @@ const DEFAULT_CONFIG = {
     showAdditionsDeletions: true,
     showFilesChanged: true,
     showAuthorAvatar: true,
-    truncateTitleAt: 90
+    truncateTitleAt: 90,
+    layout: "list",
+    pageSize: 5,
+    pageIntervalMs: 15000
+  },
+
+  filters: {
+    labels: { include: [], exclude: [] },
+    authors: { include: [], exclude: [] },
+    titles: { include: [], exclude: [] },
+    baseBranches: { include: [], exclude: [] },
+    headBranches: { include: [], exclude: [] },
+    age: { field: "created_at", minHours: null, maxHours: null },
+    size: { minChanges: null, maxChanges: null }
+  },
+
+  aging: {
+    field: "created_at",
+    warningHours: null,
+    criticalHours: null,
+    showBadge: true,
+    businessHours: {
+      enabled: false,
+      startHour: 9,
+      endHour: 17,
+      weekendDays: [0, 6],
+      holidays: []
+    }
+  },
+
+  sort: {
+    by: ["-updated_at"],
+    labelPriority: []
   },
 
   grouping: {
-    mode: "none"
+    mode: "none",
+    showCounts: true,
+    collapseAbove: null
+  },
+
+  summary: {
+    days: 7,
+    historyBucketMs: 3600000,
+    closedCacheTtlMs: 900000,
+    maxClosedPerRepo: 200
   },
 
   limits: {
@@ -40,11 +163,57 @@ const DEFAULT_CONFIG = {
     updateIntervalMs: 60000,
     listCacheTtlMs: null,
     detailsCacheTtlMs: null,
+    statusCacheTtlMs: null,
+    repoListCacheTtlMs: 3600000,
+    concurrency: 4,
+    rateLimitReserve: 0.1,
+    persistCache: true,
+    persistMaxAgeMs: 604800000,
+    persistMaxBytes: 5242880,
     backoffOnRateLimit: true
   },
 
+  webhook: {
+    enabled: false,
+    secretEnvVar: "GITPUSHY_WEBHOOK_SECRET",
+    secretFile: null,
+    fallbackIntervalMs: 900000,
+    debounceMs: 2000
+  },
+
   alerts: {
-    showOnAuthError: true
+    showOnAuthError: true,
+    showToasts: false,
+    toastDurationMs: 10000,
+    events: {
+      opened: true,
+      merged: true,
+      closed: false,
+      reopened: true,
+      ready_for_review: true,
+      pushed: false,
+      size_jump: false,
+      aging_warning: false,
+      aging_critical: false
+    },
+    sizeJumpLines: 200,
+    quietHours: null
+  },
+
+  integrations: [],
+
+  api: {
+    enabled: false,
+    secretEnvVar: "GITPUSHY_API_SECRET",
+    secretFile: null
+  },
+
+  metrics: {
+    enabled: false,
+    windowDays: 30,
+    backfill: true,
+    maxBackfillsPerRefresh: 20,
+    retentionDays: 180
   },
 
   debug: {
@@ -58,7 +227,199 @@ module.exports = NodeHelper.create({
     this.timers = new Map();
     this.httpCache = new Map();
     this.repoMetaCache = new Map();
+    this.repoListCache = new Map();
     this.backoffUntil = null;
+    this.credentials = this.loadCredentials();
+    this.integrations = this.loadIntegrations();
+    this.appTokenCache = new Map();
+    this.webhookRefreshes = new Map();
+    this.inflight = new Map();
+    this.instanceFetches = new Map();
+    this.fetchReruns = new Set();
+    this.rateBudgets = new Map();
+    this.requestSlots = { active: 0, waiting: [] };
+    this.rateLimitReserve = DEFAULT_CONFIG.refresh.rateLimitReserve;
+    this.lastData = new Map();
+    this.lastAll = new Map();
+    this.lastFetchedAt = new Map();
+    this.closedKeys = new Map();
+    this.staleScopes = new Map();
+    this.history = new Map();
+    this.integrationQueues = new Map();
+    this.integrationSends = new Map();
+    this.configProblems = new Map();
+    this.persistTimer = null;
+    this.cacheFile = process.env.GITPUSHY_CACHE_FILE || path.join(this.path || __dirname, "cache.json");
+    // Entries are only restored once the first config says how old they may be.
+    this.persisted = this.loadPersistentCache();
+    this.metricsTimer = null;
+    this.metricsFile = process.env.GITPUSHY_METRICS_FILE || path.join(this.path || __dirname, "metrics.json");
+    this.metricsExportFile =
+      process.env.GITPUSHY_METRICS_EXPORT_FILE || path.join(this.path || __dirname, "metrics-export.json");
+    this.metrics = this.loadMetricsStore();
+
+    if (this.expressApp) {
+      this.expressApp.post(`/${this.name}/webhook`, (req, res) => this.handleWebhook(req, res));
+      this.expressApp.get(`/${this.name}/:instanceId/prs.json`, (req, res) => this.handleApiRequest(req, res, "json"));
+      this.expressApp.get(`/${this.name}/:instanceId/feed.atom`, (req, res) => this.handleApiRequest(req, res, "atom"));
+      this.expressApp.get([`/${this.name}/:instanceId`, `/${this.name}/:instanceId/index.html`], (req, res) =>
+        this.handleApiRequest(req, res, "html")
+      );
+    }
+  },
+
+  stop() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this.savePersistentCache();
+    if (this.metricsTimer) {
+      clearTimeout(this.metricsTimer);
+      this.metricsTimer = null;
+      this.saveMetricsStore();
+    }
+  },
+
+  loadPersistentCache() {
+    const empty = { lastData: {}, httpCache: [], repoMetaCache: [] };
+    if (!fs.existsSync(this.cacheFile)) {
+      return empty;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.cacheFile, "utf8"));
+      if (!stored || stored.version !== CACHE_SCHEMA_VERSION) {
+        Log.info("MMM-GitPushy: Ignoring cache file with an old schema version.");
+        return empty;
+      }
+
+      const lastData = {};
+      Object.entries(stored.lastData || {}).forEach(([instanceId, entry]) => {
+        if (entry && Array.isArray(entry.prs)) {
+          lastData[instanceId] = entry;
+        }
+      });
+      return {
+        lastData,
+        httpCache: stored.httpCache || [],
+        repoMetaCache: stored.repoMetaCache || []
+      };
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to read cache file ${this.cacheFile}: ${error.message}`);
+      return empty;
+    }
+  },
+
+  restorePersistentCache(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    this.persisted.httpCache.forEach(([key, entry]) => {
+      if (entry && entry.fetchedAt >= cutoff) {
+        this.httpCache.set(key, entry);
+      }
+    });
+    this.persisted.repoMetaCache.forEach(([key, entry]) => {
+      if (entry && entry.fetchedAt >= cutoff) {
+        this.repoMetaCache.set(key, entry);
+      }
+    });
+    this.persisted.httpCache = [];
+    this.persisted.repoMetaCache = [];
+  },
+
+  getPersistSignature(prs) {
+    // ageHours ticks on every refresh; only a real change to the list is worth a write.
+    return JSON.stringify(prs || null, (key, value) => (key === "ageHours" ? undefined : value));
+  },
+
+  schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      this.savePersistentCache();
+    }, 5000);
+  },
+
+  savePersistentCache() {
+    const configs = Array.from(this.instances.values()).filter((config) => config.refresh.persistCache);
+    if (configs.length === 0) {
+      return;
+    }
+
+    const maxAgeMs = Math.max(...configs.map((config) => config.refresh.persistMaxAgeMs));
+    const maxBytes = Math.max(...configs.map((config) => config.refresh.persistMaxBytes));
+    const cutoff = Date.now() - maxAgeMs;
+
+    const lastData = {};
+    Object.entries(this.persisted.lastData).forEach(([instanceId, entry]) => {
+      if (entry.savedAt >= cutoff) {
+        lastData[instanceId] = entry;
+      }
+    });
+    this.lastData.forEach((prs, instanceId) => {
+      const config = this.instances.get(instanceId);
+      if (config && config.refresh.persistCache) {
+        lastData[instanceId] = {
+          prs,
+          all: this.lastAll.get(instanceId) || prs,
+          savedAt: Date.now(),
+          history: this.history.get(instanceId) || []
+        };
+      }
+    });
+
+    const repoMetaCache = Array.from(this.repoMetaCache.entries()).filter(
+      ([, entry]) => entry.fetchedAt >= cutoff
+    );
+    const skeleton = { version: CACHE_SCHEMA_VERSION, savedAt: Date.now(), lastData, repoMetaCache };
+    let budget = maxBytes - Buffer.byteLength(JSON.stringify(skeleton));
+
+    // Newest responses are the most likely to revalidate with a 304, so they are kept first.
+    const httpCache = [];
+    Array.from(this.httpCache.entries())
+      .filter(([, entry]) => entry.fetchedAt >= cutoff)
+      .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+      .forEach((item) => {
+        const size = Buffer.byteLength(JSON.stringify(item)) + 1;
+        if (size <= budget) {
+          httpCache.push(item);
+          budget -= size;
+        }
+      });
+
+    try {
+      const tmpFile = `${this.cacheFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ ...skeleton, httpCache }));
+      fs.renameSync(tmpFile, this.cacheFile);
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to write cache file ${this.cacheFile}: ${error.message}`);
+    }
+  },
+
+  loadCredentials() {
+    const file = process.env.GITPUSHY_CREDENTIALS_FILE || path.join(this.path || __dirname, "credentials.json");
+    return this.readOwnerFile(file, "credentials");
+  },
+
+  // Where events are sent (URLs, headers, hook scripts) is the mirror owner's call, so it
+  // lives next to credentials.json; the browser config only names an integration.
+  loadIntegrations() {
+    const file = process.env.GITPUSHY_INTEGRATIONS_FILE || path.join(this.path || __dirname, "integrations.json");
+    return this.readOwnerFile(file, "integrations");
+  },
+
+  readOwnerFile(file, label) {
+    if (!fs.existsSync(file)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8")) || {};
+    } catch (error) {
+      Log.error(`MMM-GitPushy: Failed to read ${label} file ${file}: ${error.message}`);
+      return {};
+    }
   },
 
   socketNotificationReceived(notification, payload) {
@@ -73,16 +434,47 @@ module.exports = NodeHelper.create({
 
     if (notification === "GITPUSHY_FETCH") {
       this.registerInstance(payload.instanceId, payload.config);
+      if (payload.force) {
+        this.expireHttpCache();
+      }
       this.fetchAndSend(payload.instanceId);
     }
   },
 
   registerInstance(instanceId, config) {
-    const normalized = this.applyDefaults(config || {}, DEFAULT_CONFIG);
+    const normalized = this.applyDefaults(this.sanitizeClientConfig(instanceId, config || {}), DEFAULT_CONFIG);
+    this.reportConfigProblems(instanceId, [...validateConfig(normalized), ...this.checkIntegrationNames(normalized)]);
+    const isNew = !this.instances.has(instanceId);
     this.instances.set(instanceId, normalized);
+    this.rateLimitReserve = Math.max(
+      ...Array.from(this.instances.values()).map((instance) => instance.refresh.rateLimitReserve)
+    );
+
+    const maxAgeMs = normalized.refresh.persistMaxAgeMs;
+    if (isNew && normalized.refresh.persistCache) {
+      this.restorePersistentCache(maxAgeMs);
+    }
+    const persisted = this.persisted.lastData[instanceId];
+    const fresh = persisted && persisted.savedAt >= Date.now() - maxAgeMs;
+    if (isNew && fresh && normalized.refresh.persistCache && !this.lastData.has(instanceId)) {
+      // Show the last good list from before the restart while the first fetch revalidates.
+      this.lastData.set(instanceId, persisted.prs);
+      if (Array.isArray(persisted.all)) {
+        this.lastAll.set(instanceId, persisted.all);
+      }
+      this.lastFetchedAt.set(instanceId, persisted.savedAt);
+      if (Array.isArray(persisted.history)) {
+        this.history.set(instanceId, persisted.history);
+      }
+      this.sendSocketNotification("GITPUSHY_DATA", {
+        instanceId,
+        prs: persisted.prs,
+        cached: true
+      });
+    }
 
     const existing = this.timers.get(instanceId);
-    const interval = normalized.refresh.updateIntervalMs;
+    const interval = this.getPollInterval(normalized);
 
     if (!existing) {
       const timer = setInterval(() => this.fetchAndSend(instanceId), interval);
@@ -97,7 +489,413 @@ module.exports = NodeHelper.create({
     }
   },
 
-  async fetchAndSend(instanceId) {
+  reportConfigProblems(instanceId, problems) {
+    // The browser sends its config on every fetch; only log when the problems change.
+    const signature = JSON.stringify(problems);
+    if (this.configProblems.get(instanceId) === signature) {
+      return;
+    }
+    this.configProblems.set(instanceId, signature);
+    problems.forEach((problem) => {
+      Log.warn(`MMM-GitPushy: Config problem in ${instanceId}: ${formatProblem(problem)}`);
+    });
+  },
+
+  getPollInterval(config) {
+    const number = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+    const interval = number(config.refresh.updateIntervalMs, DEFAULT_CONFIG.refresh.updateIntervalMs);
+    // With webhooks pushing changes, polling is only a slow safety net.
+    const polled = config.webhook.enabled
+      ? Math.max(interval, number(config.webhook.fallbackIntervalMs, DEFAULT_CONFIG.webhook.fallbackIntervalMs))
+      : interval;
+    return Math.max(10000, polled);
+  },
+
+  async handleWebhook(req, res) {
+    const configs = Array.from(this.instances.values()).filter((config) => config.webhook.enabled);
+    if (configs.length === 0) {
+      res.status(404).json({ error: "Webhooks are not enabled." });
+      return;
+    }
+
+    const secrets = configs.map((config) => this.getWebhookSecret(config)).filter(Boolean);
+    if (secrets.length === 0) {
+      Log.warn("MMM-GitPushy: Webhook received but no webhook secret is configured.");
+      res.status(503).json({ error: "No webhook secret configured." });
+      return;
+    }
+
+    let body;
+    try {
+      body = await this.readRawBody(req);
+    } catch (error) {
+      res.status(413).json({ error: error.message });
+      return;
+    }
+
+    const signature = String(req.get("x-hub-signature-256") || "");
+    if (!secrets.some((secret) => this.verifyWebhookSignature(body, signature, secret))) {
+      res.status(401).json({ error: "Invalid signature." });
+      return;
+    }
+
+    const event = req.get("x-github-event");
+    if (!["pull_request", "pull_request_review", "check_suite"].includes(event)) {
+      res.status(202).json({ ignored: event || null });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString("utf8"));
+    } catch (error) {
+      res.status(400).json({ error: "Invalid JSON payload." });
+      return;
+    }
+
+    const repository = payload.repository || {};
+    const owner = repository.owner && repository.owner.login;
+    const repo = repository.name;
+    if (!owner || !repo) {
+      res.status(400).json({ error: "Payload has no repository." });
+      return;
+    }
+
+    this.invalidateRepoCache(owner, repo);
+    const refreshed = this.scheduleWebhookRefresh(owner, repo);
+    res.status(202).json({ event, repository: `${owner}/${repo}`, refreshed });
+  },
+
+  getWebhookSecret(config) {
+    return this.readSecret(config.webhook, "webhook");
+  },
+
+  getApiSecret(config) {
+    return this.readSecret(config.api, "API");
+  },
+
+  readSecret(settings, label) {
+    const file = settings.secretFile ? this.resolveModuleFile(settings.secretFile, `${label} secret`) : null;
+    if (file) {
+      try {
+        return fs.readFileSync(file, "utf8").trim() || null;
+      } catch (error) {
+        Log.warn(`MMM-GitPushy: Failed to read ${label} secret file ${file}: ${error.message}`);
+      }
+    }
+    return settings.secretEnvVar ? process.env[settings.secretEnvVar] || null : null;
+  },
+
+  resolveModuleFile(file, label) {
+    // The path comes from config.js by way of the browser, so it can't leave the module folder.
+    const root = path.resolve(this.path || __dirname);
+    const resolved = path.resolve(root, String(file));
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      Log.warn(`MMM-GitPushy: Ignoring ${label} file ${file}; it must be inside ${root}.`);
+      return null;
+    }
+    return resolved;
+  },
+
+  handleApiRequest(req, res, format) {
+    const instanceId = req.params.instanceId;
+    const config = this.instances.get(instanceId);
+    if (!config || !config.api.enabled) {
+      res.status(404).json({ error: "Unknown instance or API not enabled." });
+      return;
+    }
+
+    const secret = this.getApiSecret(config);
+    if (secret && !this.verifyApiSecret(req, secret)) {
+      res.status(401).json({ error: "Missing or wrong API key." });
+      return;
+    }
+
+    const prs = this.getCachedData(instanceId);
+    const fetchedAt = this.lastFetchedAt.get(instanceId) || null;
+    let body;
+    if (format === "json") {
+      res.type("application/json");
+      body = JSON.stringify({
+        version: 1,
+        instanceId,
+        fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+        prs
+      });
+    } else if (format === "atom") {
+      res.type("application/atom+xml");
+      body = this.renderAtomFeed(instanceId, prs, fetchedAt);
+    } else {
+      res.type("text/html");
+      body = this.renderHtmlPage(config, prs, fetchedAt);
+    }
+
+    // Clients may reuse a response for as long as the helper would reuse its own list.
+    res.set("Cache-Control", `private, max-age=${Math.floor(this.getListCacheTtl(config) / 1000)}`);
+    if (fetchedAt) {
+      res.set("Last-Modified", new Date(fetchedAt).toUTCString());
+    }
+    res.set("ETag", `"${crypto.createHash("sha1").update(body).digest("hex")}"`);
+    res.send(body);
+  },
+
+  verifyApiSecret(req, secret) {
+    const header = String(req.get("authorization") || "");
+    const given = header.startsWith("Bearer ") ? header.slice(7) : String((req.query && req.query.key) || "");
+    // Hashing first gives timingSafeEqual two buffers of the same length.
+    const digest = (value) => crypto.createHash("sha256").update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(secret));
+  },
+
+  renderAtomFeed(instanceId, prs, fetchedAt) {
+    const escape = (value) =>
+      String(value == null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    const updated = new Date(fetchedAt || Date.now()).toISOString();
+
+    // Newest PRs first, so feed readers pick up new ones.
+    const entries = prs
+      .slice()
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+      .slice(0, 50)
+      .map((pr) => {
+        const size = Number.isFinite(pr.additions) ? `+${pr.additions} / -${pr.deletions}, ${pr.changed_files} files` : "";
+        return [
+          "  <entry>",
+          `    <title>${escape(`${pr.repoLabel || pr.repo} #${pr.number}: ${pr.title}`)}</title>`,
+          `    <id>${escape(pr.html_url)}</id>`,
+          `    <link href="${escape(pr.html_url)}"/>`,
+          `    <published>${escape(pr.created_at)}</published>`,
+          `    <updated>${escape(pr.updated_at || pr.created_at)}</updated>`,
+          `    <author><name>${escape(pr.authorLogin || "unknown")}</name></author>`,
+          `    <summary>${escape([pr.draft ? "Draft" : null, size, pr.base && pr.base.ref ? `into ${pr.base.ref}` : null].filter(Boolean).join(" · "))}</summary>`,
+          "  </entry>"
+        ].join("\n");
+      });
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      "  <title>MMM-GitPushy pull requests</title>",
+      `  <id>urn:mmm-gitpushy:${escape(instanceId)}</id>`,
+      `  <updated>${updated}</updated>`,
+      ...entries,
+      "</feed>",
+      ""
+    ].join("\n");
+  },
+
+  renderHtmlPage(config, prs, fetchedAt) {
+    // The page loads the module's own script and stylesheet and renders rows with its buildRow,
+    // so the markup matches the mirror. A tiny moment stand-in covers the timestamps.
+    const json = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pull requests</title>
+<link rel="stylesheet" href="/modules/${this.name}/MMM-GitPushy.css">
+<style>
+  body { background: #000; color: #fff; font-family: "Roboto Condensed", sans-serif; margin: 16px; }
+  a.gitpushy-link { color: inherit; text-decoration: none; display: block; }
+  .gitpushy-fetched { font-size: 13px; opacity: 0.6; margin-bottom: 12px; }
+</style>
+</head>
+<body>
+<div class="gitpushy-fetched" id="fetched"></div>
+<div class="gitpushy" id="gitpushy"></div>
+<script>
+  window.moment = function (value) {
+    const date = new Date(value);
+    return {
+      format: function () { return date.toLocaleDateString(); },
+      fromNow: function () {
+        const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+        if (minutes < 60) { return minutes + " minutes ago"; }
+        if (minutes < 2880) { return Math.round(minutes / 60) + " hours ago"; }
+        return Math.round(minutes / 1440) + " days ago";
+      }
+    };
+  };
+  window.Module = { register: function (name, definition) { window.GitPushyDefinition = definition; } };
+</script>
+<script src="/modules/${this.name}/MMM-GitPushy.js"></script>
+<script>
+  const view = Object.assign({}, window.GitPushyDefinition, { config: ${json({ display: config.display, aging: config.aging })} });
+  const prs = ${json(prs)};
+  const fetchedAt = ${json(fetchedAt)};
+  document.getElementById("fetched").textContent = fetchedAt
+    ? prs.length + " pull requests, updated " + new Date(fetchedAt).toLocaleString()
+    : "No data yet.";
+  const container = document.getElementById("gitpushy");
+  prs.forEach(function (pr) {
+    const link = document.createElement("a");
+    link.className = "gitpushy-link";
+    link.href = pr.html_url;
+    link.appendChild(view.buildRow(pr));
+    container.appendChild(link);
+  });
+</script>
+</body>
+</html>
+`;
+  },
+
+  readRawBody(req, limit = 5 * 1024 * 1024) {
+    if (Buffer.isBuffer(req.body)) {
+      return Promise.resolve(req.body);
+    }
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          reject(new Error("Payload too large."));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+  },
+
+  verifyWebhookSignature(body, signature, secret) {
+    const expected = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+    const given = Buffer.from(signature);
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  },
+
+  expireHttpCache() {
+    // Manual refreshes revalidate everything; unchanged responses still come back as cheap 304s.
+    this.httpCache.forEach((entry) => {
+      entry.fetchedAt = 0;
+    });
+  },
+
+  invalidateRepoCache(owner, repo) {
+    const repoKey = `${owner}/${repo}`.toLowerCase();
+    const escaped = repoKey.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const repoPattern = new RegExp(`(^|:)${escaped}([:/#]|$)`);
+    // The payload doesn't say which host sent it, so the repo is expired for every host.
+    // Entries are only marked stale, so the next request still revalidates with its ETag.
+    this.httpCache.forEach((entry, key) => {
+      const lower = key.slice(key.indexOf(" ") + 1).toLowerCase();
+      const query = lower.replace(/^search:/, "").replace(/:page:\d+$/, "");
+      if (
+        repoPattern.test(lower) ||
+        (lower.startsWith("search:") && this.searchCanMatchRepo(query, owner, repo)) ||
+        (lower.startsWith("graphql:") && this.graphqlCoversRepo(entry.variables, repoKey))
+      ) {
+        entry.fetchedAt = 0;
+      }
+    });
+
+    Array.from(this.repoMetaCache.keys()).forEach((key) => {
+      if (key.toLowerCase().endsWith(` ${repoKey}`)) {
+        this.repoMetaCache.delete(key);
+      }
+    });
+  },
+  // A search only leaves out a repo when its repo:, org: or user: qualifiers all name others.
+  searchCanMatchRepo(query, owner, repo) {
+    const scopes = query.toLowerCase().match(/(?:^|\s)(?:repo|org|user):\S+/g);
+    if (!scopes) {
+      return true;
+    }
+    return scopes.some((scope) => {
+      const [qualifier, value] = scope.trim().split(":");
+      return qualifier === "repo" ? value === `${owner}/${repo}`.toLowerCase() : value === owner.toLowerCase();
+    });
+  },
+  graphqlCoversRepo(variables, repoKey) {
+    if (!variables) {
+      return true;
+    }
+    return Object.keys(variables).some((name) => {
+      const index = /^owner(\d+)$/.exec(name);
+      return index && `${variables[name]}/${variables[`name${index[1]}`]}`.toLowerCase() === repoKey;
+    });
+  },
+  scheduleWebhookRefresh(owner, repo) {
+    let count = 0;
+    this.instances.forEach((config, instanceId) => {
+      if (!config.webhook.enabled || !this.instanceWatchesRepo(config, owner, repo)) {
+        return;
+      }
+      count += 1;
+
+      // Bursts of events (push + checks + review) collapse into one refresh per instance.
+      clearTimeout(this.webhookRefreshes.get(instanceId));
+      this.webhookRefreshes.set(
+        instanceId,
+        setTimeout(() => {
+          this.webhookRefreshes.delete(instanceId);
+          this.fetchAndSend(instanceId, true);
+        }, config.webhook.debounceMs)
+      );
+    });
+    return count;
+  },
+
+  instanceWatchesRepo(config, owner, repo) {
+    const targets = Array.isArray(config.targets) ? config.targets : [];
+    const same = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase();
+    return targets.some((target) => {
+      if (!target || this.getTargetProvider(target) !== "github") {
+        return false;
+      }
+      if (this.isSearchTarget(target)) {
+        return true;
+      }
+      if (this.isAccountTarget(target)) {
+        return same(target.org || target.user, owner);
+      }
+      return same(target.owner, owner) && same(target.repo, repo);
+    });
+  },
+
+  sanitizeClientConfig(instanceId, config) {
+    const auth = config.auth || {};
+    if (!auth.token || auth.allowClientToken) {
+      return config;
+    }
+
+    if (!this.instances.has(instanceId)) {
+      Log.warn(
+        "MMM-GitPushy: Ignoring auth.token sent from the browser. Use auth.tokenFile, auth.credential or an env var, or set auth.allowClientToken: true."
+      );
+    }
+    return { ...config, auth: { ...auth, token: null } };
+  },
+
+  fetchAndSend(instanceId, rerun = false) {
+    // The helper timer, the browser and webhooks can all ask at once; share one run.
+    if (this.instanceFetches.has(instanceId)) {
+      // The running fetch may have read the repo before the webhook arrived, so one more follows it.
+      if (rerun) {
+        this.fetchReruns.add(instanceId);
+      }
+      return this.instanceFetches.get(instanceId);
+    }
+    const run = this.runFetchAndSend(instanceId).finally(() => {
+      this.instanceFetches.delete(instanceId);
+      if (this.fetchReruns.delete(instanceId)) {
+        this.fetchAndSend(instanceId);
+      }
+    });
+    this.instanceFetches.set(instanceId, run);
+    return run;
+  },
+
+  async runFetchAndSend(instanceId) {
     const config = this.instances.get(instanceId);
     if (!config) {
       return;
@@ -112,165 +910,2314 @@ module.exports = NodeHelper.create({
       return;
     }
 
-    const token = this.getAuthToken(config);
-    if (!token && config.alerts.showOnAuthError) {
+    if (!this.hasAnyCredential(config) && config.alerts.showOnAuthError) {
       this.sendSocketNotification("GITPUSHY_ERROR", {
         instanceId,
-        message: `Missing GitHub token (set auth.token or env var ${config.auth.tokenEnvVar}).`,
+        message: `Missing GitHub token (set env var ${config.auth.tokenEnvVar}, auth.tokenFile or auth.credential).`,
         prs: this.getCachedData(instanceId)
       });
       return;
     }
 
     try {
-      const prs = await this.fetchAllTargets(config, token, instanceId);
-      this.instances.get(instanceId).lastData = prs;
+      const shown = this.lastData.get(instanceId);
+      const previous = this.lastAll.get(instanceId);
+      const { prs, all, matching, errors, closed, stale, targetCount, targets, tokens } = await this.fetchAllTargets(
+        config,
+        instanceId
+      );
+      if (errors.length > 0 && errors.length === targetCount) {
+        this.sendSocketNotification("GITPUSHY_ERROR", {
+          instanceId,
+          message: errors.length === 1 ? `${errors[0].target}: ${errors[0].message}` : errors[0].message,
+          kind: errors[0].kind,
+          errors,
+          prs: this.getCachedData(instanceId)
+        });
+        return;
+      }
+
+      // Changes are found in everything the targets returned, so a PR that only moved into the
+      // top maxTotal or started matching a filter isn't reported as opened.
+      // Repos that failed now or last time are left out: their PRs weren't really listed.
+      const skipped = new Set([...(this.staleScopes.get(instanceId) || []), ...stale]);
+      this.staleScopes.set(instanceId, stale);
+      const events = previous ? this.detectChanges(instanceId, previous, all, closed, config, skipped) : [];
+      this.dispatchIntegrations(instanceId, config, events);
+      // The summary counts every PR that passes the filters; limits only shorten the list.
+      this.recordHistory(instanceId, matching, config);
+      const summary =
+        config.display.layout === "summary"
+          ? await this.buildSummary(instanceId, config, matching, targets, tokens)
+          : null;
+      this.lastData.set(instanceId, prs);
+      this.lastAll.set(instanceId, all);
+      this.lastFetchedAt.set(instanceId, Date.now());
+      // The cache file can run to megabytes, so an unchanged list isn't rewritten.
+      const changed = this.getPersistSignature([prs, all]) !== this.getPersistSignature([shown, previous]);
+      if (config.refresh.persistCache && changed) {
+        this.schedulePersist();
+      }
       this.sendSocketNotification("GITPUSHY_DATA", {
         instanceId,
-        prs
+        prs,
+        errors,
+        events,
+        summary
       });
+
+      if (config.metrics.enabled) {
+        // Like the summary, metrics cover every PR that passes the filters, not just the ones shown.
+        await this.updateMetrics(matching, closed, targets, tokens, config);
+        const repos = new Set(matching.map((pr) => `${pr.owner}/${pr.repo}`.toLowerCase()));
+        targets.forEach((target) => {
+          if (target.owner && target.repo) {
+            repos.add(`${target.owner}/${target.repo}`.toLowerCase());
+          }
+        });
+        this.sendSocketNotification("GITPUSHY_METRICS", {
+          instanceId,
+          metrics: this.computeMetrics(config.metrics.windowDays, repos)
+        });
+      }
     } catch (error) {
       const message = this.formatError(error);
       this.sendSocketNotification("GITPUSHY_ERROR", {
         instanceId,
         message,
+        kind: error.kind || "unknown",
         prs: this.getCachedData(instanceId)
       });
     }
   },
 
-  getCachedData(instanceId) {
-    const config = this.instances.get(instanceId);
-    return (config && config.lastData) || [];
+  getCachedData(instanceId) {
+    return this.lastData.get(instanceId) || [];
+  },
+
+  isRateLimited(config) {
+    if (!config.refresh.backoffOnRateLimit) {
+      return false;
+    }
+    if (!this.backoffUntil) {
+      return false;
+    }
+    return Date.now() < this.backoffUntil;
+  },
+
+  hasAnyCredential(config) {
+    const auth = config.auth;
+    const targets = Array.isArray(config.targets) ? config.targets : [];
+    return Boolean(
+      auth.credential ||
+        Object.keys(auth.ownerCredentials || {}).length > 0 ||
+        targets.some((target) => target && (target.credential || this.getTargetProvider(target) !== "github")) ||
+        this.resolveTokenSource(auth)
+    );
+  },
+
+  async getTargetToken(target, config) {
+    const owner = target.owner || target.org || target.user || null;
+    const provider = this.getTargetProvider(target);
+    const alias = target.credential || (provider === "github" ? this.getCredentialAlias(config.auth, owner) : null);
+    if (!alias && provider !== "github") {
+      return null;
+    }
+
+    // apiBaseUrl and graphqlUrl arrive from the browser, so a token only goes to the host
+    // credentials.json names for it, or to the provider's public API.
+    const targetConfig = this.getTargetConfig(target, config);
+    const tokenBaseUrl = this.getTokenBaseUrl(alias, provider);
+    const urls = [targetConfig.auth.apiBaseUrl];
+    if (provider === "github" && targetConfig.auth.apiMode === "graphql") {
+      urls.push(this.getGraphqlUrl(targetConfig));
+    }
+    const foreign = urls.find((url) => !this.isSameOrigin(url, tokenBaseUrl));
+    if (foreign) {
+      // Without a token at all the target is fetched anonymously, as before.
+      if (!alias && !this.resolveTokenSource(config.auth)) {
+        return null;
+      }
+      // Failing the target beats a silent anonymous fetch that only returns public repos.
+      throw this.createApiError(
+        "auth",
+        `No credential for ${foreign}: the ${alias ? `"${alias}" credential` : "auth token"} ` +
+          `is only sent to ${tokenBaseUrl}. Add a credentials.json entry with that apiBaseUrl.`
+      );
+    }
+
+    if (alias) {
+      return this.resolveCredential(alias, owner);
+    }
+    // auth.token is already stripped by sanitizeClientConfig unless allowClientToken is set.
+    return this.resolveTokenSource(config.auth);
+  },
+
+  getCredentialAlias(auth, owner) {
+    const ownerCredentials = auth.ownerCredentials || {};
+    if (owner && ownerCredentials[owner]) {
+      return ownerCredentials[owner];
+    }
+    return auth.credential || null;
+  },
+
+  getTokenBaseUrl(alias, provider) {
+    const credential = alias ? this.credentials[alias] : null;
+    if (credential && credential.apiBaseUrl) {
+      return credential.apiBaseUrl;
+    }
+    return PROVIDER_BASE_URLS[provider] || DEFAULT_CONFIG.auth.apiBaseUrl;
+  },
+
+  isSameOrigin(url, baseUrl) {
+    try {
+      return new URL(url).origin === new URL(baseUrl).origin;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  async resolveCredential(alias, owner) {
+    const credential = this.credentials[alias];
+    if (!credential) {
+      Log.warn(`MMM-GitPushy: Unknown credential alias "${alias}".`);
+      return null;
+    }
+
+    if (credential.appId) {
+      return this.getAppInstallationToken(alias, credential, owner);
+    }
+
+    return this.resolveTokenSource(credential, true);
+  },
+
+  async getAppInstallationToken(alias, credential, owner) {
+    // Installation tokens are scoped to one account, so they are cached per credential and owner.
+    const cacheKey = `${alias}:${owner || "*"}`;
+    const cached = this.appTokenCache.get(cacheKey);
+    if (cached && cached.expiresAt - Date.now() > 300000) {
+      return cached.token;
+    }
+
+    const apiBaseUrl = credential.apiBaseUrl || DEFAULT_CONFIG.auth.apiBaseUrl;
+    try {
+      const jwt = this.createAppJwt(credential);
+      const installations = credential.installations || {};
+      const installationId =
+        (owner && installations[owner]) ||
+        credential.installationId ||
+        (owner ? await this.findAppInstallation(apiBaseUrl, jwt, owner) : null);
+
+      if (!installationId) {
+        Log.warn(`MMM-GitPushy: No GitHub App installation for credential "${alias}" and owner ${owner || "(none)"}.`);
+        return null;
+      }
+
+      const response = await fetch(`${apiBaseUrl}/app/installations/${installationId}/access_tokens`, {
+        method: "POST",
+        headers: this.getAppHeaders(jwt)
+      });
+      if (!response.ok) {
+        throw this.createResponseError(response, await response.text());
+      }
+
+      const data = await response.json();
+      this.appTokenCache.set(cacheKey, {
+        token: data.token,
+        expiresAt: Date.parse(data.expires_at) || Date.now() + 3600000
+      });
+      return data.token;
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to get installation token for credential "${alias}": ${error.message}`);
+      return cached ? cached.token : null;
+    }
+  },
+
+  async findAppInstallation(apiBaseUrl, jwt, owner) {
+    for (const kind of ["orgs", "users"]) {
+      const response = await fetch(`${apiBaseUrl}/${kind}/${owner}/installation`, {
+        headers: this.getAppHeaders(jwt)
+      });
+      if (response.ok) {
+        const data = await response.json();
+        return data.id;
+      }
+      if (response.status !== 404) {
+        throw this.createResponseError(response, await response.text());
+      }
+    }
+    return null;
+  },
+
+  getAppHeaders(jwt) {
+    return {
+      "User-Agent": "MMM-GitPushy",
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${jwt}`
+    };
+  },
+
+  createAppJwt(credential) {
+    const file = path.isAbsolute(credential.privateKeyFile)
+      ? credential.privateKeyFile
+      : path.join(this.path || __dirname, credential.privateKeyFile);
+    const privateKey = fs.readFileSync(file, "utf8");
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+    // iat is backdated to allow for clock drift; GitHub caps exp at ten minutes.
+    const unsigned = `${encode({ alg: "RS256", typ: "JWT" })}.${encode({
+      iat: now - 60,
+      exp: now + 540,
+      iss: String(credential.appId)
+    })}`;
+    const signature = crypto.createSign("RSA-SHA256").update(unsigned).sign(privateKey, "base64url");
+    return `${unsigned}.${signature}`;
+  },
+
+  resolveTokenSource(source, trusted = false) {
+    if (typeof source === "string") {
+      return source.trim() || null;
+    }
+    if (source.token && String(source.token).trim().length > 0) {
+      return String(source.token).trim();
+    }
+
+    // Only entries from credentials.json may name a token file outside the module folder.
+    let file = null;
+    if (source.tokenFile) {
+      file = trusted
+        ? path.resolve(this.path || __dirname, source.tokenFile)
+        : this.resolveModuleFile(source.tokenFile, "token");
+    }
+    if (file) {
+      try {
+        const token = fs.readFileSync(file, "utf8").trim();
+        if (token) {
+          return token;
+        }
+      } catch (error) {
+        Log.warn(`MMM-GitPushy: Failed to read token file ${file}: ${error.message}`);
+      }
+    }
+
+    const envVar = source.tokenEnvVar;
+    return envVar ? process.env[envVar] || null : null;
+  },
+
+  async fetchAllTargets(config, instanceId) {
+    const results = [];
+    const errors = [];
+    // Targets without a repo, search or account are reported as config problems, not fetched.
+    const configured = (Array.isArray(config.targets) ? config.targets : []).filter((target) =>
+      this.isFetchableTarget(target)
+    );
+    const targets = await this.expandTargets(configured, config, errors, instanceId);
+
+    // A broken target keeps its last known PRs instead of dropping out of the list.
+    const perTarget = new Array(targets.length);
+    const failed = new Set();
+    const fail = (index, error) => {
+      failed.add(index);
+      const described = this.describeTargetError(targets[index], error);
+      Log.warn(`MMM-GitPushy: ${described.target}: ${described.message}`);
+      errors.push(described);
+      perTarget[index] = this.getCachedTargetPulls(instanceId, targets[index]);
+    };
+
+    // Repos kept from a failed account listing aren't fetched; the account already reported the error.
+    targets.forEach((target, index) => {
+      if (target.stale) {
+        failed.add(index);
+        perTarget[index] = this.getCachedTargetPulls(instanceId, target);
+      }
+    });
+
+    const tokens = [];
+    for (let index = 0; index < targets.length; index += 1) {
+      try {
+        tokens.push(await this.getTargetToken(targets[index], config));
+      } catch (error) {
+        tokens.push(null);
+        if (!targets[index].stale) {
+          fail(index, error);
+        }
+      }
+    }
+
+    if (config.auth.apiMode === "graphql") {
+      const repoIndexes = [];
+      targets.forEach((target, index) => {
+        if (!perTarget[index] && !this.isSearchTarget(target) && this.getTargetProvider(target) === "github") {
+          repoIndexes.push(index);
+        }
+      });
+      const graphqlResults = await this.fetchTargetsGraphql(
+        repoIndexes.map((index) => targets[index]),
+        config,
+        repoIndexes.map((index) => tokens[index]),
+        instanceId
+      );
+      repoIndexes.forEach((targetIndex, index) => {
+        if (graphqlResults[index] instanceof Error) {
+          fail(targetIndex, graphqlResults[index]);
+          return;
+        }
+        perTarget[targetIndex] = graphqlResults[index];
+      });
+    }
+
+    const remaining = targets.map((target, index) => index).filter((index) => !perTarget[index]);
+    await this.mapWithConcurrency(remaining, config.refresh.concurrency, async (index) => {
+      try {
+        perTarget[index] = await this.fetchTargetPulls(targets[index], config, tokens[index], instanceId);
+      } catch (error) {
+        fail(index, error);
+      }
+    });
+
+    // PRs that dropped out of a healthy target are looked up once to tell merges from closes.
+    const closed = [];
+    if (config.query.state === "open") {
+      for (let index = 0; index < targets.length; index += 1) {
+        if (failed.has(index)) {
+          continue;
+        }
+        const current = new Set(perTarget[index].map((pr) => pr.number));
+        const gone = this.getCachedTargetPulls(instanceId, targets[index]).filter((pr) => !current.has(pr.number));
+        for (const pr of gone) {
+          const state = await this.fetchClosedState(targets[index], config, tokens[index], pr);
+          if (state) {
+            closed.push({ ...pr, ...state });
+          }
+        }
+      }
+    }
+
+    const targetOrder = new Map();
+    perTarget.forEach((prs, index) => {
+      prs.forEach((pr) => {
+        // Keyed by PR, not object: aging and filters hand back copies.
+        const key = this.getPullKey(pr);
+        if (!targetOrder.has(key)) {
+          targetOrder.set(key, index);
+        }
+      });
+    });
+    const compare = this.buildSortComparator(config.sort, targetOrder);
+
+    const aged = perTarget.map((prs, index) => this.applyAging(prs, this.getTargetAging(targets[index], config)));
+    const matching = [];
+    aged.forEach((prs, index) => {
+      const filtered = this.applyFilters(prs, this.getTargetFilters(targets[index], config)).sort(compare);
+      matching.push(...filtered);
+      results.push(...this.limitPerRepo(filtered, config.limits.maxPerRepo));
+    });
+
+    // Search targets can overlap repo targets; the entry from the earlier target wins.
+    const unique = this.uniquePulls(results);
+
+    const sorted = unique.sort(compare);
+
+    // Accounts and repos that failed can't tell new PRs from ones they never listed.
+    const stale = [
+      ...errors.filter((error) => error.account).map((error) => String(error.owner).toLowerCase()),
+      ...Array.from(failed)
+        .map((index) => targets[index])
+        .filter((target) => target.owner && target.repo)
+        .map((target) => `${target.owner}/${target.repo}`.toLowerCase())
+    ];
+
+    return {
+      prs: sorted.slice(0, config.limits.maxTotal),
+      all: this.uniquePulls(aged.flat()),
+      matching: this.uniquePulls(matching),
+      errors,
+      closed,
+      stale,
+      targets,
+      tokens,
+      targetCount: targets.length + errors.filter((error) => error.account).length
+    };
+  },
+
+  async fetchClosedState(target, config, token, pr) {
+    const provider = this.getTargetProvider(target);
+    const repoUrl = this.getRepoApiUrl(target, this.getTargetConfig(target, config));
+    const repoKey = `${target.owner}/${target.repo}`;
+    try {
+      if (provider === "gitlab") {
+        const mr = await this.httpGet(
+          `${repoUrl}/merge_requests/${pr.number}`,
+          token,
+          `mr:gitlab:${repoKey}/${pr.number}`,
+          0,
+          false,
+          "Bearer"
+        );
+        if (mr.state === "opened") {
+          return null;
+        }
+        return {
+          state: "closed",
+          merged: mr.state === "merged",
+          merged_at: mr.merged_at || null,
+          closed_at: mr.closed_at || mr.merged_at || null
+        };
+      }
+
+      const cacheKey = provider === "gitea" ? `gitea-pull:gitea:${repoKey}/${pr.number}` : `pull:${repoKey}/${pr.number}`;
+      const details = await this.httpGet(`${repoUrl}/pulls/${pr.number}`, token, cacheKey, 0);
+      if (details.state === "open") {
+        return null;
+      }
+      return {
+        state: "closed",
+        merged: Boolean(details.merged || details.merged_at),
+        merged_at: details.merged_at || null,
+        closed_at: details.closed_at || details.merged_at || null
+      };
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to check whether ${repoKey}#${pr.number} was merged: ${error.message}`);
+      return null;
+    }
+  },
+
+  detectChanges(instanceId, previous, current, closed, config, skipped = new Set()) {
+    const at = new Date().toISOString();
+    const events = [];
+    const emit = (type, pr, details = {}) => {
+      events.push({ type, key: this.getPullKey(pr), at, pr, details });
+    };
+
+    if (!this.closedKeys.has(instanceId)) {
+      this.closedKeys.set(instanceId, new Set());
+    }
+    const recentlyClosed = this.closedKeys.get(instanceId);
+    const rememberClosed = (key) => {
+      recentlyClosed.delete(key);
+      recentlyClosed.add(key);
+      if (recentlyClosed.size > 500) {
+        recentlyClosed.delete(recentlyClosed.values().next().value);
+      }
+    };
+
+    const before = new Map(previous.map((pr) => [this.getPullKey(pr), pr]));
+    current.forEach((pr) => {
+      const owner = String(pr.owner).toLowerCase();
+      if (skipped.has(owner) || skipped.has(`${owner}/${String(pr.repo).toLowerCase()}`)) {
+        return;
+      }
+      const key = this.getPullKey(pr);
+      const old = before.get(key);
+      if (!old) {
+        // With state "open" a reopened PR simply reappears, so remember what was closed.
+        emit(recentlyClosed.delete(key) ? "reopened" : "opened", pr);
+        return;
+      }
+
+      if (old.state !== "open" && pr.state === "open") {
+        emit("reopened", pr);
+      } else if (old.state === "open" && pr.state !== "open") {
+        rememberClosed(key);
+        emit(pr.merged_at ? "merged" : "closed", pr);
+      }
+      if (old.draft && !pr.draft) {
+        emit("ready_for_review", pr);
+      }
+      if (old.headSha && pr.headSha && old.headSha !== pr.headSha) {
+        emit("pushed", pr, { previousHeadSha: old.headSha });
+      }
+
+      const oldSize = (old.additions || 0) + (old.deletions || 0);
+      const size = (pr.additions || 0) + (pr.deletions || 0);
+      if (Number.isFinite(config.alerts.sizeJumpLines) && Math.abs(size - oldSize) >= config.alerts.sizeJumpLines) {
+        emit("size_jump", pr, { previousChanges: oldSize, changes: size });
+      }
+
+      const levels = ["ok", "warning", "critical"];
+      if (levels.indexOf(pr.agingLevel) > levels.indexOf(old.agingLevel || "ok")) {
+        emit(`aging_${pr.agingLevel}`, pr, { ageHours: pr.ageHours });
+      }
+    });
+
+    (closed || []).forEach((pr) => {
+      rememberClosed(this.getPullKey(pr));
+      emit(pr.merged ? "merged" : "closed", pr);
+    });
+
+    return events;
+  },
+
+  // The schema can't see integrations.json, so names it doesn't define are reported here.
+  checkIntegrationNames(config) {
+    const references = Array.isArray(config.integrations) ? config.integrations : [];
+    return references
+      .map((reference, index) => ({ reference, index }))
+      .filter(({ reference }) => reference && reference.name && !this.integrations[reference.name])
+      .map(({ reference, index }) => ({
+        path: `integrations[${index}]`,
+        message: `no integration named "${reference.name}" in integrations.json`
+      }));
+  },
+
+  getIntegrations(config) {
+    const references = Array.isArray(config.integrations) ? config.integrations : [];
+    return references
+      .filter((reference) => reference && this.integrations[reference.name])
+      .map((reference) => {
+        // Only the event, repo and author selection can come from the browser.
+        const integration = { ...this.integrations[reference.name], name: reference.name };
+        ["events", "repos", "authors"].forEach((key) => {
+          if (reference[key] !== undefined) {
+            integration[key] = reference[key];
+          }
+        });
+        return integration;
+      });
+  },
+
+  dispatchIntegrations(instanceId, config, events) {
+    this.getIntegrations(config).forEach((integration) => {
+      const name = integration.name;
+      const matching = events.filter((event) => this.integrationWants(integration, event));
+      if (matching.length === 0) {
+        return;
+      }
+
+      // Deliveries per integration run one after another so downstream sees events in order.
+      const queueKey = `${instanceId}:${name}`;
+      const queue = (this.integrationQueues.get(queueKey) || Promise.resolve()).then(async () => {
+        for (const event of matching) {
+          if (!this.takeIntegrationSlot(queueKey, integration)) {
+            Log.warn(`MMM-GitPushy: Integration "${name}" is over its hourly cap; dropping ${event.type} for ${event.key}.`);
+            continue;
+          }
+          try {
+            await this.deliverIntegration(integration, this.buildIntegrationPayload(instanceId, event));
+          } catch (error) {
+            Log.warn(`MMM-GitPushy: Integration "${name}" failed for ${event.type} ${event.key}: ${error.message}`);
+          }
+        }
+      });
+      this.integrationQueues.set(queueKey, queue);
+    });
+  },
+
+  integrationWants(integration, event) {
+    if (Array.isArray(integration.events) && integration.events.length > 0 && !integration.events.includes(event.type)) {
+      return false;
+    }
+    const repo = `${event.pr.owner}/${event.pr.repo}`;
+    if (integration.repos && !this.matchesGlob(repo, integration.repos)) {
+      return false;
+    }
+    if (integration.authors && !this.matchesGlob(event.pr.authorLogin, integration.authors)) {
+      return false;
+    }
+    return true;
+  },
+
+  takeIntegrationSlot(queueKey, integration) {
+    const cap = Number(integration.maxPerHour);
+    if (!Number.isFinite(cap) || cap <= 0) {
+      return true;
+    }
+    const hourAgo = Date.now() - 3600000;
+    const sends = (this.integrationSends.get(queueKey) || []).filter((time) => time > hourAgo);
+    if (sends.length >= cap) {
+      this.integrationSends.set(queueKey, sends);
+      return false;
+    }
+    sends.push(Date.now());
+    this.integrationSends.set(queueKey, sends);
+    return true;
+  },
+
+  buildIntegrationPayload(instanceId, event) {
+    return {
+      version: 1,
+      event: event.type,
+      at: event.at,
+      instanceId,
+      key: event.key,
+      pr: event.pr,
+      details: event.details
+    };
+  },
+
+  async deliverIntegration(integration, payload) {
+    const retries = Number.isFinite(integration.retries) ? integration.retries : 2;
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        if (integration.type === "command") {
+          await this.runIntegrationCommand(integration, payload);
+        } else if (integration.type === "webhook") {
+          await this.postIntegrationWebhook(integration, payload);
+        } else {
+          throw new Error(`Unknown integration type "${integration.type}".`);
+        }
+        return;
+      } catch (error) {
+        if (error.permanent || attempt >= retries) {
+          throw error;
+        }
+        await this.sleep(this.getRetryDelay(attempt));
+      }
+    }
+  },
+
+  runIntegrationCommand(integration, payload) {
+    // Only scripts the mirror owner placed in hooks/ can run; the config that arrives over
+    // the socket can name one but never supply a command line of its own.
+    const hooksDir = path.join(this.path, "hooks");
+    const file = path.resolve(hooksDir, String(integration.command || ""));
+    if (!file.startsWith(`${hooksDir}${path.sep}`) || !fs.existsSync(file)) {
+      const error = new Error(`Hook "${integration.command}" not found in ${hooksDir}.`);
+      error.permanent = true;
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(file, (integration.args || []).map(String), {
+        cwd: hooksDir,
+        env: { ...process.env, GITPUSHY_EVENT: payload.event },
+        stdio: ["pipe", "ignore", "pipe"],
+        timeout: integration.timeoutMs || 10000
+      });
+      let stderr = "";
+      child.stderr.on("data", (chunk) => {
+        stderr += chunk;
+      });
+      child.on("error", reject);
+      child.on("close", (code) => {
+        if (code === 0) {
+          resolve();
+          return;
+        }
+        reject(new Error(`exit code ${code}${stderr ? `: ${stderr.trim().slice(0, 200)}` : ""}`));
+      });
+      child.stdin.on("error", () => {});
+      child.stdin.end(JSON.stringify(payload));
+    });
+  },
+
+  async postIntegrationWebhook(integration, payload) {
+    const body = integration.body === undefined ? payload : this.renderTemplate(integration.body, payload);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), integration.timeoutMs || 10000);
+    let response;
+    try {
+      response = await fetch(integration.url, {
+        method: integration.method || "POST",
+        headers: {
+          "User-Agent": "MMM-GitPushy",
+          "Content-Type": "application/json",
+          ...(integration.headers || {})
+        },
+        body: typeof body === "string" ? body : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      // Client errors won't fix themselves on retry.
+      error.permanent = response.status < 500 && response.status !== 429;
+      throw error;
+    }
+  },
+
+  renderTemplate(template, context) {
+    if (typeof template === "string") {
+      return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, field) => {
+        const value = field.split(".").reduce((current, part) => (current == null ? undefined : current[part]), context);
+        if (value == null) {
+          return "";
+        }
+        return typeof value === "object" ? JSON.stringify(value) : String(value);
+      });
+    }
+    if (Array.isArray(template)) {
+      return template.map((item) => this.renderTemplate(item, context));
+    }
+    if (template && typeof template === "object") {
+      return Object.fromEntries(
+        Object.entries(template).map(([key, value]) => [key, this.renderTemplate(value, context)])
+      );
+    }
+    return template;
+  },
+
+  loadMetricsStore() {
+    const records = new Map();
+    if (!fs.existsSync(this.metricsFile)) {
+      return records;
+    }
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.metricsFile, "utf8"));
+      if (stored && stored.version === METRICS_SCHEMA_VERSION && Array.isArray(stored.records)) {
+        stored.records.forEach((record) => records.set(record.key, record));
+      } else if (stored && stored.version === 1 && Array.isArray(stored.records)) {
+        // Version 1 keys had no host; those PRs are assumed to be on the provider's public host.
+        stored.records.forEach((record) => {
+          const host = PROVIDER_WEB_HOSTS[record.provider] || PROVIDER_WEB_HOSTS.github;
+          const key = String(record.key).replace(/^([^:]*):/, `$1:${host}/`);
+          records.set(key, { ...record, key });
+        });
+      }
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to read metrics file ${this.metricsFile}: ${error.message}`);
+    }
+    return records;
+  },
+
+  scheduleMetricsSave() {
+    if (this.metricsTimer) {
+      return;
+    }
+    this.metricsTimer = setTimeout(() => {
+      this.metricsTimer = null;
+      this.saveMetricsStore();
+    }, 5000);
+  },
+
+  saveMetricsStore() {
+    const configs = Array.from(this.instances.values()).filter((config) => config.metrics.enabled);
+    const windowDays = Math.max(...configs.map((config) => config.metrics.windowDays), 1);
+    try {
+      const tmpFile = `${this.metricsFile}.tmp`;
+      fs.writeFileSync(
+        tmpFile,
+        JSON.stringify({ version: METRICS_SCHEMA_VERSION, savedAt: Date.now(), records: Array.from(this.metrics.values()) })
+      );
+      fs.renameSync(tmpFile, this.metricsFile);
+      fs.writeFileSync(this.metricsExportFile, JSON.stringify(this.computeMetrics(windowDays), null, 2));
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to write metrics file ${this.metricsFile}: ${error.message}`);
+    }
+  },
+
+  async updateMetrics(prs, closed, targets, tokens, config) {
+    const now = new Date().toISOString();
+    const sources = new Map();
+    targets.forEach((target, index) => {
+      if (target.owner && target.repo) {
+        sources.set(`${target.owner}/${target.repo}`.toLowerCase(), { target, token: tokens[index] });
+      }
+    });
+
+    let backfills = 0;
+    const observe = async (pr) => {
+      const key = this.getPullKey(pr);
+      const isNew = !this.metrics.has(key);
+      const record = this.metrics.get(key) || {
+        key,
+        provider: pr.provider,
+        repo: `${pr.owner}/${pr.repo}`,
+        number: pr.number,
+        author: pr.authorLogin,
+        createdAt: pr.created_at,
+        firstSeenAt: now,
+        firstReviewAt: null,
+        approvedAt: null,
+        mergedAt: null,
+        closedAt: null,
+        updatedAt: null
+      };
+      this.metrics.set(key, record);
+
+      if (pr.merged_at && !record.mergedAt) {
+        record.mergedAt = pr.merged_at;
+      }
+      if (pr.state !== "open" && !record.closedAt) {
+        record.closedAt = pr.closed_at || pr.merged_at || now;
+      }
+
+      // Review times come from the reviews API when possible; otherwise the first refresh
+      // that shows a review stands in for it.
+      const source = sources.get(record.repo.toLowerCase());
+      const changed = isNew || record.updatedAt !== pr.updated_at || (record.mergedAt && !record.firstReviewAt);
+      if (
+        config.metrics.backfill &&
+        changed &&
+        !record.approvedAt &&
+        record.provider === "github" &&
+        source &&
+        backfills < config.metrics.maxBackfillsPerRefresh
+      ) {
+        backfills += 1;
+        await this.backfillReviewTimes(record, source.target, source.token, config);
+      }
+      record.updatedAt = pr.updated_at;
+
+      const reviewed = pr.approvals > 0 || pr.reviewState === "approved" || pr.reviewState === "changes_requested";
+      if (reviewed && !record.firstReviewAt) {
+        record.firstReviewAt = now;
+      }
+      if (pr.reviewState === "approved" && !record.approvedAt) {
+        record.approvedAt = now;
+      }
+    };
+
+    for (const pr of prs) {
+      await observe(pr);
+    }
+    for (const pr of closed || []) {
+      await observe(pr);
+    }
+
+    this.pruneMetrics(config.metrics.retentionDays);
+    this.scheduleMetricsSave();
+  },
+
+  async backfillReviewTimes(record, target, token, config) {
+    const [owner, repo] = record.repo.split("/");
+    const apiBaseUrl = this.getTargetConfig(target, config).auth.apiBaseUrl;
+    try {
+      const reviews = await this.fetchAllPages(
+        `${apiBaseUrl}/repos/${owner}/${repo}/pulls/${record.number}/reviews?per_page=100`,
+        token,
+        `reviews:${owner}/${repo}/${record.number}`,
+        this.getStatusCacheTtl(config)
+      );
+      const submitted = (reviews || [])
+        .filter((review) => review.submitted_at && review.state !== "PENDING")
+        .filter((review) => !review.user || review.user.login !== record.author)
+        .sort((a, b) => Date.parse(a.submitted_at) - Date.parse(b.submitted_at));
+      if (submitted.length > 0) {
+        record.firstReviewAt = submitted[0].submitted_at;
+      }
+      const approval = submitted.find((review) => review.state === "APPROVED");
+      if (approval) {
+        record.approvedAt = approval.submitted_at;
+      }
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to backfill reviews for ${record.repo}#${record.number}: ${error.message}`);
+    }
+  },
+
+  pruneMetrics(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 86400000;
+    this.metrics.forEach((record, key) => {
+      const finished = Date.parse(record.mergedAt || record.closedAt);
+      const seen = Date.parse(record.firstSeenAt);
+      if ((Number.isFinite(finished) && finished < cutoff) || (!Number.isFinite(finished) && seen < cutoff)) {
+        this.metrics.delete(key);
+      }
+    });
+  },
+
+  computeMetrics(windowDays, repos = null) {
+    const since = Date.now() - windowDays * 86400000;
+    const groups = { overall: { timeToFirstReview: [], timeToMerge: [] }, repos: {}, authors: {} };
+    const add = (bucket, name, field, hours) => {
+      if (!bucket[name]) {
+        bucket[name] = { timeToFirstReview: [], timeToMerge: [] };
+      }
+      bucket[name][field].push(hours);
+    };
+
+    this.metrics.forEach((record) => {
+      if (repos && !repos.has(record.repo.toLowerCase())) {
+        return;
+      }
+      const created = Date.parse(record.createdAt);
+      const samples = [
+        ["timeToFirstReview", Date.parse(record.firstReviewAt)],
+        ["timeToMerge", Date.parse(record.mergedAt)]
+      ];
+      samples.forEach(([field, time]) => {
+        if (!Number.isFinite(time) || !Number.isFinite(created) || time < since) {
+          return;
+        }
+        const hours = Math.max(0, (time - created) / 3600000);
+        add(groups, "overall", field, hours);
+        add(groups.repos, record.repo, field, hours);
+        add(groups.authors, record.author || "unknown", field, hours);
+      });
+    });
+
+    const describe = (values) => ({
+      count: values.length,
+      p50: this.percentile(values, 0.5),
+      p90: this.percentile(values, 0.9)
+    });
+    const finish = (entry) => ({
+      timeToFirstReview: describe(entry ? entry.timeToFirstReview : []),
+      timeToMerge: describe(entry ? entry.timeToMerge : [])
+    });
+    const mapEntries = (bucket) =>
+      Object.fromEntries(Object.entries(bucket).map(([name, entry]) => [name, finish(entry)]));
+
+    return {
+      windowDays,
+      generatedAt: new Date().toISOString(),
+      overall: finish(groups.overall),
+      repos: mapEntries(groups.repos),
+      authors: mapEntries(groups.authors)
+    };
+  },
+
+  percentile(values, rank) {
+    if (values.length === 0) {
+      return null;
+    }
+    // Nearest-rank percentile, in hours.
+    const sorted = values.slice().sort((a, b) => a - b);
+    const value = sorted[Math.max(0, Math.ceil(rank * sorted.length) - 1)];
+    return Math.round(value * 10) / 10;
+  },
+
+  recordHistory(instanceId, prs, config) {
+    const now = Date.now();
+    const byRepo = {};
+    prs.forEach((pr) => {
+      const key = `${pr.owner}/${pr.repo}`;
+      byRepo[key] = (byRepo[key] || 0) + 1;
+    });
+    const snapshot = {
+      at: now,
+      total: prs.length,
+      draft: prs.filter((pr) => pr.draft).length,
+      byRepo
+    };
+
+    // Refreshes inside one bucket overwrite each other, so the series stays small at any poll rate.
+    const bucketMs = Math.max(60000, config.summary.historyBucketMs);
+    const cutoff = now - Math.max(1, config.summary.days) * 86400000;
+    const history = (this.history.get(instanceId) || []).filter((entry) => entry.at >= cutoff);
+    const last = history[history.length - 1];
+    if (last && Math.floor(last.at / bucketMs) === Math.floor(now / bucketMs)) {
+      history[history.length - 1] = snapshot;
+    } else {
+      history.push(snapshot);
+    }
+    this.history.set(instanceId, history);
+  },
+
+  async buildSummary(instanceId, config, prs, targets, tokens) {
+    const dayMs = 86400000;
+    const days = Math.max(1, config.summary.days);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const since = today.getTime() - (days - 1) * dayMs;
+    const now = Date.now();
+
+    const repos = new Map();
+    const ensure = (owner, repo, label) => {
+      const key = `${owner}/${repo}`;
+      if (!repos.has(key)) {
+        repos.set(key, { key, label: label || repo, ages: [], oldest: null, draft: 0, mergedPerDay: null });
+      }
+      return repos.get(key);
+    };
+
+    targets.forEach((target) => {
+      if (!this.isSearchTarget(target) && target.owner && target.repo) {
+        ensure(target.owner, target.repo, target.displayName);
+      }
+    });
+    prs.forEach((pr) => {
+      const entry = ensure(pr.owner, pr.repo, pr.repoLabel);
+      const ageHours = (now - new Date(pr.created_at).getTime()) / 3600000;
+      if (pr.draft) {
+        entry.draft += 1;
+      }
+      if (Number.isFinite(ageHours)) {
+        entry.ages.push(ageHours);
+        if (!entry.oldest || ageHours > entry.oldest.ageHours) {
+          entry.oldest = { number: pr.number, title: pr.title, url: pr.html_url, ageHours: Math.round(ageHours * 10) / 10 };
+        }
+      }
+    });
+
+    await this.mapWithConcurrency(
+      targets.map((target, index) => index),
+      config.refresh.concurrency,
+      async (index) => {
+        const target = targets[index];
+        if (this.isSearchTarget(target) || !target.owner || !target.repo) {
+          return;
+        }
+        const mergedAt = await this.fetchMergedTimes(target, config, tokens[index], since);
+        if (!mergedAt) {
+          return;
+        }
+        const perDay = new Array(days).fill(0);
+        mergedAt.forEach((time) => {
+          const day = Math.floor((time - since) / dayMs);
+          if (day >= 0 && day < days) {
+            perDay[day] += 1;
+          }
+        });
+        ensure(target.owner, target.repo, target.displayName).mergedPerDay = perDay;
+      }
+    );
+
+    const history = this.history.get(instanceId) || [];
+    const finish = (entry, ages, historyOf) => ({
+      key: entry.key,
+      label: entry.label,
+      open: ages.length,
+      draft: entry.draft,
+      ready: ages.length - entry.draft,
+      medianAgeHours: this.median(ages),
+      oldest: entry.oldest,
+      mergedPerDay: entry.mergedPerDay,
+      history: history.map(historyOf)
+    });
+
+    const all = Array.from(repos.values());
+    const repoSummaries = all
+      .map((entry) => finish(entry, entry.ages, (snapshot) => snapshot.byRepo[entry.key] || 0))
+      .sort((a, b) => b.open - a.open || a.label.localeCompare(b.label));
+
+    const withMerged = all.filter((entry) => entry.mergedPerDay);
+    let oldest = null;
+    all.forEach((entry) => {
+      if (entry.oldest && (!oldest || entry.oldest.ageHours > oldest.ageHours)) {
+        oldest = { ...entry.oldest, repo: entry.label };
+      }
+    });
+    const total = finish(
+      {
+        key: "total",
+        label: "Total",
+        draft: all.reduce((sum, entry) => sum + entry.draft, 0),
+        oldest,
+        mergedPerDay:
+          withMerged.length > 0
+            ? new Array(days).fill(0).map((zero, day) => withMerged.reduce((sum, entry) => sum + entry.mergedPerDay[day], 0))
+            : null
+      },
+      all.reduce((ages, entry) => ages.concat(entry.ages), []),
+      (snapshot) => snapshot.total
+    );
+
+    return { days, since: new Date(since).toISOString(), total, repos: repoSummaries };
+  },
+
+  async fetchMergedTimes(target, config, token, since) {
+    const provider = this.getTargetProvider(target);
+    const repoUrl = this.getRepoApiUrl(target, this.getTargetConfig(target, config));
+    const repoKey = `${provider}:${target.owner}/${target.repo}`;
+    const ttl = config.summary.closedCacheTtlMs;
+    const max = config.summary.maxClosedPerRepo;
+
+    try {
+      let closed;
+      if (provider === "gitlab") {
+        const url = `${repoUrl}/merge_requests?state=merged&order_by=updated_at&per_page=100&updated_after=${new Date(since).toISOString()}`;
+        closed = await this.fetchAllPages(url, token, `merged:${repoKey}`, ttl, max, "Bearer");
+      } else if (provider === "gitea") {
+        closed = await this.fetchAllPages(`${repoUrl}/pulls?state=closed&sort=recentupdate&limit=50`, token, `merged:${repoKey}`, ttl, max);
+      } else {
+        closed = await this.fetchAllPages(
+          `${repoUrl}/pulls?state=closed&sort=updated&direction=desc&per_page=100`,
+          token,
+          `merged:${repoKey}`,
+          ttl,
+          max
+        );
+      }
+      return closed
+        .map((pr) => Date.parse(pr.merged_at))
+        .filter((time) => Number.isFinite(time) && time >= since);
+    } catch (error) {
+      Log.warn(`MMM-GitPushy: Failed to list merged PRs for ${target.owner}/${target.repo}: ${error.message}`);
+      return null;
+    }
+  },
+
+  median(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(value * 10) / 10;
+  },
+
+  getCachedTargetPulls(instanceId, target) {
+    if (this.isSearchTarget(target) || !target.owner || !target.repo) {
+      return [];
+    }
+    const fullName = `${target.owner}/${target.repo}`.toLowerCase();
+    // The unfiltered list, so a failed target keeps PRs that were outside the limits too.
+    const cached = this.lastAll.get(instanceId) || this.getCachedData(instanceId);
+    return cached.filter(
+      (pr) => `${pr.owner}/${pr.repo}`.toLowerCase() === fullName
+    );
+  },
+
+  getTargetProvider(target) {
+    return (target && target.provider) || "github";
+  },
+
+  getTargetConfig(target, config) {
+    if (!target || !target.apiBaseUrl) {
+      const defaults = PROVIDER_BASE_URLS[this.getTargetProvider(target)];
+      if (!defaults) {
+        return config;
+      }
+      return { ...config, auth: { ...config.auth, apiBaseUrl: defaults } };
+    }
+    return {
+      ...config,
+      auth: {
+        ...config.auth,
+        apiBaseUrl: String(target.apiBaseUrl).replace(/\/+$/, ""),
+        graphqlUrl: target.graphqlUrl || null
+      }
+    };
+  },
+
+  async fetchTargetPulls(target, config, token, instanceId) {
+    const targetConfig = this.getTargetConfig(target, config);
+    if (this.isSearchTarget(target)) {
+      return this.fetchSearchPulls(target, targetConfig, token, instanceId);
+    }
+
+    const provider = this.getTargetProvider(target);
+    if (provider === "gitlab") {
+      return this.fetchGitlabPulls(target, targetConfig, token);
+    }
+    if (provider === "gitea") {
+      return this.fetchGiteaPulls(target, targetConfig, token);
+    }
+    if (provider !== "github") {
+      throw new Error(`Unknown provider "${provider}" for ${target.owner}/${target.repo}.`);
+    }
+    return this.fetchRepoPulls(target, targetConfig, token, instanceId);
+  },
+
+  getRepoApiUrl(target, config) {
+    if (this.getTargetProvider(target) === "gitlab") {
+      return `${config.auth.apiBaseUrl}/projects/${encodeURIComponent(`${target.owner}/${target.repo}`)}`;
+    }
+    // GitHub and Gitea/Forgejo share the /repos/{owner}/{repo} shape.
+    return `${config.auth.apiBaseUrl}/repos/${target.owner}/${target.repo}`;
+  },
+
+  async fetchGitlabPulls(target, config, token) {
+    const projectUrl = this.getRepoApiUrl(target, config);
+    const repoKey = `gitlab:${target.owner}/${target.repo}`;
+    const baseBranches = await this.resolveBaseBranches(target, config, token);
+    const listTtl = this.getListCacheTtl(config);
+    const detailsTtl = this.getDetailsCacheTtl(config);
+    const stateMap = { open: "opened", closed: "all", all: "all" };
+    const state = config.query.state || "open";
+
+    const requests = [];
+    for (const base of baseBranches.length > 0 ? baseBranches : [null]) {
+      const url = new URL(`${projectUrl}/merge_requests`);
+      url.searchParams.set("state", stateMap[state] || "opened");
+      url.searchParams.set("per_page", "100");
+      url.searchParams.set("order_by", "updated_at");
+      if (base) {
+        url.searchParams.set("target_branch", base);
+      }
+      const list = await this.fetchAllPages(
+        url.toString(),
+        token,
+        `mrs:${repoKey}:${base || "all"}:${state}`,
+        listTtl,
+        Infinity,
+        "Bearer"
+      );
+      requests.push(...list);
+    }
+
+    const enriched = [];
+    for (const mr of requests) {
+      const isDraft = Boolean(mr.draft || mr.work_in_progress);
+      if (!config.query.includeDrafts && isDraft) {
+        continue;
+      }
+      const normalizedState = mr.state === "opened" ? "open" : "closed";
+      if (state !== "all" && normalizedState !== state) {
+        continue;
+      }
+
+      const details = await this.httpGet(
+        `${projectUrl}/merge_requests/${mr.iid}`,
+        token,
+        `mr:${repoKey}/${mr.iid}`,
+        detailsTtl,
+        false,
+        "Bearer"
+      );
+      const diffs = await this.fetchAllPages(
+        `${projectUrl}/merge_requests/${mr.iid}/diffs?per_page=100`,
+        token,
+        `mr-diffs:${repoKey}/${mr.iid}:${details.sha}`,
+        detailsTtl,
+        Infinity,
+        "Bearer"
+      );
+      const stats = this.countDiffLines(diffs);
+
+      const pipelineMap = {
+        success: "success",
+        failed: "failure",
+        canceled: "failure",
+        running: "pending",
+        pending: "pending",
+        created: "pending"
+      };
+      const pipeline = details.head_pipeline || details.pipeline;
+
+      enriched.push({
+        provider: "gitlab",
+        repo: target.repo,
+        repoLabel: target.displayName || target.repo,
+        owner: target.owner,
+        number: mr.iid,
+        title: mr.title,
+        html_url: mr.web_url,
+        updated_at: mr.updated_at,
+        created_at: mr.created_at,
+        state: normalizedState,
+        authorLogin: (mr.author && mr.author.username) || null,
+        authorAvatarUrl: (mr.author && mr.author.avatar_url) || null,
+        additions: stats.additions,
+        deletions: stats.deletions,
+        changed_files: diffs.length,
+        draft: isDraft,
+        base: {
+          ref: mr.target_branch,
+          repo: { full_name: `${target.owner}/${target.repo}` }
+        },
+        reviewState: null,
+        approvals: 0,
+        requestedReviewers: (details.reviewers || []).map((reviewer) => reviewer.username),
+        checksState: (pipeline && pipelineMap[pipeline.status]) || null,
+        mergeable: typeof details.has_conflicts === "boolean" ? !details.has_conflicts : null,
+        mergeableState: details.has_conflicts ? "dirty" : null,
+        labels: (mr.labels || []).map((label) => (typeof label === "string" ? label : label.name)),
+        headRef: mr.source_branch || null,
+        headSha: details.sha || mr.sha || null,
+        merged_at: mr.merged_at || null
+      });
+    }
+
+    return enriched;
+  },
+
+  countDiffLines(diffs) {
+    let additions = 0;
+    let deletions = 0;
+    diffs.forEach((entry) => {
+      String(entry.diff || "")
+        .split("\n")
+        .forEach((line) => {
+          if (line.startsWith("+") && !line.startsWith("+++")) {
+            additions += 1;
+          } else if (line.startsWith("-") && !line.startsWith("---")) {
+            deletions += 1;
+          }
+        });
+    });
+    return { additions, deletions };
+  },
+
+  async fetchGiteaPulls(target, config, token) {
+    const repoUrl = this.getRepoApiUrl(target, config);
+    const repoKey = `gitea:${target.owner}/${target.repo}`;
+    const baseBranches = await this.resolveBaseBranches(target, config, token);
+    const detailsTtl = this.getDetailsCacheTtl(config);
+    const statusTtl = this.getStatusCacheTtl(config);
+    const state = config.query.state || "open";
+
+    // Gitea has no base-branch query parameter, so branches are filtered here.
+    const list = await this.fetchAllPages(
+      `${repoUrl}/pulls?state=${state}&sort=recentupdate&limit=50`,
+      token,
+      `gitea-pulls:${repoKey}:${state}`,
+      this.getListCacheTtl(config)
+    );
+
+    const enriched = [];
+    for (const listed of list) {
+      if (baseBranches.length > 0 && !baseBranches.includes(listed.base && listed.base.ref)) {
+        continue;
+      }
+      const pr = Number.isFinite(listed.additions)
+        ? listed
+        : await this.httpGet(`${repoUrl}/pulls/${listed.number}`, token, `gitea-pull:${repoKey}/${listed.number}`, detailsTtl);
+      const isDraft = Boolean(pr.draft) || /^\s*(\[?wip\]?|draft)[:\s]/i.test(pr.title || "");
+      if (!config.query.includeDrafts && isDraft) {
+        continue;
+      }
+
+      const status = {
+        reviewState: null,
+        approvals: 0,
+        requestedReviewers: (pr.requested_reviewers || []).map((user) => user.login).filter(Boolean),
+        checksState: null,
+        mergeable: typeof pr.mergeable === "boolean" ? pr.mergeable : null,
+        mergeableState: pr.mergeable === false ? "dirty" : null
+      };
+
+      if (config.query.includeReviews) {
+        try {
+          const reviews = await this.httpGet(
+            `${repoUrl}/pulls/${pr.number}/reviews`,
+            token,
+            `gitea-reviews:${repoKey}/${pr.number}`,
+            statusTtl
+          );
+          const normalized = (reviews || []).map((review) => ({
+            user: review.user,
+            state: review.state === "REQUEST_CHANGES" ? "CHANGES_REQUESTED" : review.state
+          }));
+          const summary = this.summarizeReviews(normalized, status.requestedReviewers);
+          status.reviewState = summary.state;
+          status.approvals = summary.approvals;
+        } catch (error) {
+          Log.warn(`MMM-GitPushy: Failed to load reviews for ${repoKey}#${pr.number}: ${error}`);
+        }
+      }
+
+      const sha = pr.head && pr.head.sha;
+      if (config.query.includeChecks && sha) {
+        try {
+          const combined = await this.httpGet(
+            `${repoUrl}/commits/${sha}/status`,
+            token,
+            `gitea-status:${repoKey}/${sha}`,
+            statusTtl
+          );
+          status.checksState = this.summarizeChecks(null, combined);
+        } catch (error) {
+          Log.warn(`MMM-GitPushy: Failed to load status for ${repoKey}#${pr.number}: ${error}`);
+        }
+      }
+
+      const entry = this.buildPullEntry(
+        { owner: target.owner, repo: target.repo, repoLabel: target.displayName || target.repo },
+        pr,
+        pr,
+        status
+      );
+      enriched.push({ ...entry, provider: "gitea", draft: isDraft });
+    }
+
+    return enriched;
+  },
+
+  getTargetAging(target, config) {
+    if (!target || !target.aging) {
+      return config.aging;
+    }
+    return this.applyDefaults(target.aging, config.aging);
+  },
+
+  applyAging(prs, aging, now = Date.now()) {
+    const hasThresholds = Number.isFinite(aging.warningHours) || Number.isFinite(aging.criticalHours);
+    if (!hasThresholds) {
+      return prs;
+    }
+
+    return prs.map((pr) => {
+      const since = new Date(pr[aging.field] || pr.created_at).getTime();
+      if (!Number.isFinite(since)) {
+        return pr;
+      }
+
+      const ageHours = aging.businessHours.enabled
+        ? this.getBusinessHours(since, now, aging.businessHours)
+        : (now - since) / 3600000;
+
+      let agingLevel = "ok";
+      if (Number.isFinite(aging.criticalHours) && ageHours >= aging.criticalHours) {
+        agingLevel = "critical";
+      } else if (Number.isFinite(aging.warningHours) && ageHours >= aging.warningHours) {
+        agingLevel = "warning";
+      }
+
+      return { ...pr, ageHours: Math.round(ageHours * 10) / 10, agingLevel };
+    });
+  },
+
+  getBusinessHours(since, now, businessHours) {
+    const holidays = new Set(businessHours.holidays || []);
+    const weekendDays = businessHours.weekendDays || [];
+    const pad = (value) => String(value).padStart(2, "0");
+
+    let total = 0;
+    const day = new Date(since);
+    day.setHours(0, 0, 0, 0);
+    while (day.getTime() < now) {
+      const dateKey = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+      if (!weekendDays.includes(day.getDay()) && !holidays.has(dateKey)) {
+        const open = new Date(day);
+        open.setHours(businessHours.startHour, 0, 0, 0);
+        const close = new Date(day);
+        close.setHours(businessHours.endHour, 0, 0, 0);
+        const start = Math.max(open.getTime(), since);
+        const end = Math.min(close.getTime(), now);
+        if (end > start) {
+          total += end - start;
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return total / 3600000;
+  },
+
+  buildSortComparator(sort, targetOrder) {
+    const keys = Array.isArray(sort && sort.by) && sort.by.length > 0 ? sort.by : ["-updated_at"];
+    const labelPriority = (sort && sort.labelPriority) || [];
+
+    const time = (value) => {
+      const ms = new Date(value).getTime();
+      return Number.isFinite(ms) ? ms : 0;
+    };
+    const labelRank = (pr) => {
+      const labels = pr.labels || [];
+      const index = labelPriority.findIndex((pattern) =>
+        labels.some((label) => this.matchesGlob(label, pattern))
+      );
+      return index === -1 ? labelPriority.length : index;
+    };
+    const extractors = {
+      updated_at: (pr) => time(pr.updated_at),
+      created_at: (pr) => time(pr.created_at),
+      size: (pr) => (Number(pr.additions) || 0) + (Number(pr.deletions) || 0),
+      files: (pr) => Number(pr.changed_files) || 0,
+      repo: (pr) => {
+        const key = this.getPullKey(pr);
+        return targetOrder.has(key) ? targetOrder.get(key) : Infinity;
+      },
+      author: (pr) => String(pr.authorLogin || "").toLowerCase(),
+      draft: (pr) => (pr.draft ? 1 : 0),
+      labelPriority: labelRank
+    };
+
+    const comparators = keys
+      .map((key) => {
+        const descending = String(key).startsWith("-");
+        const name = descending ? String(key).slice(1) : String(key);
+        const extract = extractors[name];
+        if (!extract) {
+          Log.warn(`MMM-GitPushy: Unknown sort key "${name}" ignored.`);
+          return null;
+        }
+        const direction = descending ? -1 : 1;
+        return (a, b) => {
+          const valueA = extract(a);
+          const valueB = extract(b);
+          if (valueA < valueB) {
+            return -direction;
+          }
+          if (valueA > valueB) {
+            return direction;
+          }
+          return 0;
+        };
+      })
+      .filter(Boolean);
+
+    // Most recently updated first breaks any remaining ties so the order is stable.
+    comparators.push((a, b) => time(b.updated_at) - time(a.updated_at));
+
+    return (a, b) => {
+      for (const comparator of comparators) {
+        const result = comparator(a, b);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    };
+  },
+
+  isFetchableTarget(target) {
+    if (!target || typeof target !== "object") {
+      return false;
+    }
+    return Boolean(target.search || target.org || target.user || (target.owner && target.repo));
+  },
+
+  isAccountTarget(target) {
+    return Boolean(target) && Boolean(target.org || target.user) && !target.repo;
+  },
+
+  async expandTargets(targets, config, errors = [], instanceId = null) {
+    const explicit = new Set(
+      targets
+        .filter((target) => target && target.owner && target.repo)
+        .map((target) => `${target.owner}/${target.repo}`.toLowerCase())
+    );
+
+    const expanded = [];
+    for (const target of targets) {
+      if (!this.isAccountTarget(target)) {
+        expanded.push(target);
+        continue;
+      }
+
+      const {
+        org,
+        user,
+        include,
+        exclude,
+        includeArchived,
+        includeForks,
+        displayName,
+        ...repoOptions
+      } = target;
+
+      let repos;
+      try {
+        const token = await this.getTargetToken(target, config);
+        repos = await this.listAccountRepos(target, this.getTargetConfig(target, config), token);
+      } catch (error) {
+        const described = this.describeTargetError(target, error);
+        Log.warn(`MMM-GitPushy: ${described.target}: ${described.message}`);
+        errors.push({ ...described, account: true, owner: org || user });
+        // Until the listing works again, the repos its PRs were last seen in stand in for it.
+        const cached = instanceId ? this.lastAll.get(instanceId) || this.getCachedData(instanceId) : [];
+        cached
+          .filter((pr) => String(pr.owner).toLowerCase() === String(org || user).toLowerCase())
+          .forEach((pr) => {
+            const key = `${pr.owner}/${pr.repo}`.toLowerCase();
+            if (explicit.has(key)) {
+              return;
+            }
+            explicit.add(key);
+            expanded.push({ ...repoOptions, owner: pr.owner, repo: pr.repo, stale: true });
+          });
+        continue;
+      }
+      repos
+        .filter((repo) => includeArchived || !repo.archived)
+        .filter((repo) => includeForks || !repo.fork)
+        .filter((repo) => !include || this.matchesGlob(repo.name, include))
+        .filter((repo) => !exclude || !this.matchesGlob(repo.name, exclude))
+        .forEach((repo) => {
+          const key = `${repo.owner}/${repo.name}`.toLowerCase();
+          if (explicit.has(key)) {
+            return;
+          }
+          explicit.add(key);
+          expanded.push({ ...repoOptions, owner: repo.owner, repo: repo.name });
+        });
+    }
+
+    return expanded;
+  },
+
+  async listAccountRepos(target, config, token) {
+    const account = target.org || target.user;
+    const cacheKey = `${config.auth.apiBaseUrl} ${target.org ? "org" : "user"}:${account}`;
+    const ttl = config.refresh.repoListCacheTtlMs;
+    const cached = this.repoListCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
+      return cached.repos;
+    }
+
+    const url = target.org
+      ? `${config.auth.apiBaseUrl}/orgs/${account}/repos?type=all&per_page=100`
+      : `${config.auth.apiBaseUrl}/users/${account}/repos?type=owner&per_page=100`;
+
+    try {
+      const data = await this.fetchAllPages(url, token, `repos:${cacheKey}`, ttl);
+      const repos = data.map((repo) => ({
+        owner: repo.owner ? repo.owner.login : account,
+        name: repo.name,
+        archived: Boolean(repo.archived),
+        fork: Boolean(repo.fork),
+        defaultBranch: repo.default_branch || null
+      }));
+
+      // The listing already carries each default branch, so seed the metadata cache.
+      const now = Date.now();
+      repos.forEach((repo) => {
+        if (repo.defaultBranch) {
+          this.repoMetaCache.set(this.getRepoMetaKey({ owner: repo.owner, repo: repo.name }, config), {
+            defaultBranch: repo.defaultBranch,
+            fetchedAt: now
+          });
+        }
+      });
+
+      this.repoListCache.set(cacheKey, { repos, fetchedAt: now });
+      return repos;
+    } catch (error) {
+      // Without an earlier listing the target has nothing to show, so expandTargets reports it.
+      if (!cached) {
+        throw error;
+      }
+      Log.warn(`MMM-GitPushy: Failed to list repositories for ${account}, using the last list: ${error}`);
+      return cached.repos;
+    }
+  },
+
+  matchesGlob(value, patterns) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    return list.some((pattern) => this.globToRegExp(pattern).test(String(value || "")));
+  },
+
+  globToRegExp(pattern) {
+    const escaped = String(pattern)
+      .split("")
+      .map((char) => {
+        if (char === "*") {
+          return ".*";
+        }
+        if (char === "?") {
+          return ".";
+        }
+        return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+    return new RegExp(`^${escaped}$`, "i");
+  },
+
+  async fetchRepoPulls(target, config, token, instanceId) {
+    const owner = target.owner;
+    const repo = target.repo;
+    const repoKey = `${owner}/${repo}`;
+
+    const baseBranches = await this.resolveBaseBranches(target, config, token);
+    const listConfigs = baseBranches.length > 0 ? baseBranches : [null];
+    const listTtl = this.getListCacheTtl(config);
+    const detailsTtl = this.getDetailsCacheTtl(config);
+    const statusTtl = this.getStatusCacheTtl(config);
+
+    const pulls = [];
+    const rawLists = [];
+    const rawDetails = {};
+    const rawStatus = {};
+    for (const base of listConfigs) {
+      const listUrl = this.buildPullsUrl(config.auth.apiBaseUrl, owner, repo, {
+        state: config.query.state,
+        base
+      });
+
+      const listCacheKey = `pulls:${repoKey}:${base || "all"}:${config.query.state}`;
+      const listData = await this.fetchAllPages(
+        listUrl,
+        token,
+        listCacheKey,
+        listTtl
+      );
+
+      rawLists.push({
+        base: base || null,
+        url: listUrl,
+        data: listData
+      });
+      pulls.push(...listData);
+    }
+
+    const unique = this.uniquePulls(pulls);
+    const filtered = unique.filter((pr) => {
+      if (!config.query.includeDrafts && pr.draft) {
+        return false;
+      }
+      return true;
+    });
+
+    const enriched = [];
+    for (const pr of filtered) {
+      const details = await this.fetchPullDetails(
+        config.auth.apiBaseUrl,
+        owner,
+        repo,
+        pr.number,
+        token,
+        detailsTtl
+      );
+
+      rawDetails[pr.number] = details;
+
+      if (!this.matchesStateFilter(details, config.query.state)) {
+        continue;
+      }
+
+      const status = await this.fetchPullStatus(
+        config,
+        owner,
+        repo,
+        details,
+        token,
+        statusTtl
+      );
+      rawStatus[pr.number] = status.raw;
+
+      enriched.push(
+        this.buildPullEntry(
+          { owner, repo, repoLabel: target.displayName || repo },
+          pr,
+          details,
+          status
+        )
+      );
+    }
+
+    if (config.debug && config.debug.logApiResponses) {
+      this.sendSocketNotification("GITPUSHY_DEBUG", {
+        instanceId,
+        owner,
+        repo,
+        state: config.query.state,
+        rawLists,
+        rawDetails,
+        rawStatus
+      });
+    }
+
+    return enriched;
+  },
+
+  async fetchTargetsGraphql(targets, config, tokens, instanceId) {
+    const batchSize = Math.max(1, Number(config.auth.graphqlBatchSize) || 1);
+    const listTtl = this.getListCacheTtl(config);
+    const entries = targets.map((target, index) => ({
+      target,
+      token: tokens[index],
+      baseRefName: this.getKnownBaseBranch(target, config),
+      cursor: null,
+      defaultBranch: null,
+      nodes: []
+    }));
+
+    // A query goes to one host with one token, so targets are batched per host and credential.
+    const groups = new Map();
+    entries.forEach((entry) => {
+      if (!entry.token) {
+        entry.error = this.createApiError("auth", "The GitHub GraphQL API requires a token.");
+        return;
+      }
+      const targetConfig = this.getTargetConfig(entry.target, config);
+      const key = `${this.getGraphqlUrl(targetConfig)}\n${entry.token}`;
+      if (!groups.has(key)) {
+        groups.set(key, { config: targetConfig, token: entry.token, entries: [] });
+      }
+      groups.get(key).entries.push(entry);
+    });
+
+    const rawResponses = [];
+    for (const group of groups.values()) {
+      try {
+        await this.fetchGraphqlBatches(group.entries, group.config, group.token, batchSize, listTtl, rawResponses);
+      } catch (error) {
+        group.entries.forEach((entry) => {
+          entry.error = error;
+        });
+      }
+    }
+
+    if (config.debug && config.debug.logApiResponses) {
+      this.sendSocketNotification("GITPUSHY_DEBUG", {
+        instanceId,
+        apiMode: "graphql",
+        state: config.query.state,
+        rawResponses
+      });
+    }
+
+    // Failed groups come back as their Error so the caller can mark just those targets.
+    return entries.map((entry) => {
+      if (entry.error) {
+        return entry.error;
+      }
+      const branches = this.getGraphqlBaseBranches(entry.target, entry.defaultBranch);
+      return entry.nodes
+        .filter((node) => !branches || branches.includes(node.baseRefName))
+        .filter((node) => config.query.includeDrafts || !node.isDraft)
+        .map((node) => this.mapGraphqlPull(node, entry.target, config));
+    });
+  },
+
+  async fetchGraphqlBatches(entries, config, token, batchSize, listTtl, rawResponses) {
+    let pending = entries;
+    while (pending.length > 0) {
+      const next = [];
+      for (let i = 0; i < pending.length; i += batchSize) {
+        const batch = pending.slice(i, i + batchSize);
+        const { query, variables } = this.buildGraphqlPullsQuery(batch, config);
+        const data = await this.graphqlRequest(config, token, query, variables, listTtl);
+        rawResponses.push(data);
+
+        batch.forEach((entry, index) => {
+          const repository = data[`r${index}`];
+          if (!repository) {
+            // Reported like a REST 404, so the target keeps its cached PRs and shows the marker.
+            entry.error = this.createApiError("not-found", `${ERROR_MESSAGES["not-found"]} (GraphQL)`);
+            return;
+          }
+
+          if (repository.defaultBranchRef && repository.defaultBranchRef.name) {
+            entry.defaultBranch = repository.defaultBranchRef.name;
+            this.repoMetaCache.set(this.getRepoMetaKey(entry.target, config), {
+              defaultBranch: entry.defaultBranch,
+              fetchedAt: Date.now()
+            });
+          }
+
+          const connection = repository.pullRequests;
+          entry.nodes.push(...connection.nodes);
+          if (connection.pageInfo.hasNextPage) {
+            entry.cursor = connection.pageInfo.endCursor;
+            next.push(entry);
+          }
+        });
+      }
+      pending = next;
+    }
+  },
+
+  getKnownBaseBranch(target, config) {
+    const mode = target.baseBranchesMode || "defaultOnly";
+    if (mode === "all") {
+      return null;
+    }
+    if (mode === "list" && Array.isArray(target.baseBranches) && target.baseBranches.length > 0) {
+      return target.baseBranches.length === 1 ? target.baseBranches[0] : null;
+    }
+    if (target.defaultBranchOverride) {
+      return target.defaultBranchOverride;
+    }
+    const cached = this.repoMetaCache.get(this.getRepoMetaKey(target, config));
+    if (cached && Date.now() - cached.fetchedAt < 3600000) {
+      return cached.defaultBranch;
+    }
+    return null;
+  },
+
+  getGraphqlBaseBranches(target, defaultBranch) {
+    const mode = target.baseBranchesMode || "defaultOnly";
+    if (mode === "all") {
+      return null;
+    }
+    if (mode === "list" && Array.isArray(target.baseBranches) && target.baseBranches.length > 0) {
+      return target.baseBranches;
+    }
+    if (target.defaultBranchOverride) {
+      return [target.defaultBranchOverride];
+    }
+    return defaultBranch ? [defaultBranch] : null;
+  },
+
+  buildGraphqlPullsQuery(entries, config) {
+    const stateMap = {
+      open: ["OPEN"],
+      closed: ["CLOSED", "MERGED"],
+      all: null
+    };
+    const state = config.query.state || "open";
+    const variables = {
+      states: stateMap[state] === undefined ? ["OPEN"] : stateMap[state],
+      withReviews: Boolean(config.query.includeReviews),
+      withChecks: Boolean(config.query.includeChecks)
+    };
+
+    const declarations = ["$states: [PullRequestState!]", "$withReviews: Boolean!", "$withChecks: Boolean!"];
+    const selections = entries.map((entry, index) => {
+      declarations.push(`$owner${index}: String!`, `$name${index}: String!`, `$after${index}: String`, `$base${index}: String`);
+      variables[`owner${index}`] = entry.target.owner;
+      variables[`name${index}`] = entry.target.repo;
+      variables[`after${index}`] = entry.cursor;
+      variables[`base${index}`] = entry.baseRefName;
+      return `  r${index}: repository(owner: $owner${index}, name: $name${index}) {
+    defaultBranchRef { name }
+    pullRequests(first: 100, after: $after${index}, baseRefName: $base${index}, states: $states, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      pageInfo { hasNextPage endCursor }
+      nodes { ...PullFields }
+    }
+  }`;
+    });
+
+    const query = `query GitPushyPulls(${declarations.join(", ")}) {
+  rateLimit { cost remaining resetAt }
+${selections.join("\n")}
+}
+${GRAPHQL_PULL_FIELDS}`;
+
+    return { query, variables };
+  },
+
+  mapGraphqlPull(node, target, config) {
+    const requestedReviewers = ((node.reviewRequests && node.reviewRequests.nodes) || [])
+      .map((request) => request.requestedReviewer)
+      .filter(Boolean)
+      .map((reviewer) => (reviewer.slug ? `@${reviewer.slug}` : reviewer.login))
+      .filter(Boolean);
+
+    let reviewState = null;
+    let approvals = 0;
+    if (config.query.includeReviews) {
+      const reviews = ((node.latestOpinionatedReviews && node.latestOpinionatedReviews.nodes) || []).map(
+        (review) => ({ state: review.state, user: review.author })
+      );
+      const summary = this.summarizeReviews(reviews, requestedReviewers);
+      reviewState = node.reviewDecision ? node.reviewDecision.toLowerCase() : summary.state;
+      approvals = summary.approvals;
+    }
+
+    let checksState = null;
+    const lastCommit = node.commits && node.commits.nodes && node.commits.nodes[0];
+    const rollup = lastCommit && lastCommit.commit && lastCommit.commit.statusCheckRollup;
+    if (rollup && rollup.state) {
+      const rollupMap = {
+        SUCCESS: "success",
+        FAILURE: "failure",
+        ERROR: "failure",
+        PENDING: "pending",
+        EXPECTED: "pending"
+      };
+      checksState = rollupMap[rollup.state] || null;
+    }
+
+    const mergeableMap = { MERGEABLE: true, CONFLICTING: false };
+
+    return {
+      provider: "github",
+      repo: target.repo,
+      repoLabel: target.displayName || target.repo,
+      owner: target.owner,
+      number: node.number,
+      title: node.title,
+      html_url: node.url,
+      updated_at: node.updatedAt,
+      created_at: node.createdAt,
+      state: node.state === "OPEN" ? "open" : "closed",
+      authorLogin: (node.author && node.author.login) || null,
+      authorAvatarUrl: (node.author && node.author.avatarUrl) || null,
+      additions: node.additions,
+      deletions: node.deletions,
+      changed_files: node.changedFiles,
+      draft: node.isDraft,
+      base: {
+        ref: node.baseRefName,
+        repo: {
+          full_name: node.baseRepository ? node.baseRepository.nameWithOwner : `${target.owner}/${target.repo}`
+        }
+      },
+      reviewState,
+      approvals,
+      requestedReviewers,
+      checksState,
+      mergeable: node.mergeable in mergeableMap ? mergeableMap[node.mergeable] : null,
+      mergeableState: node.mergeable === "CONFLICTING" ? "dirty" : null,
+      labels: ((node.labels && node.labels.nodes) || []).map((label) => label.name),
+      headRef: node.headRefName || null,
+      headSha: node.headRefOid || null,
+      merged_at: node.mergedAt || null
+    };
+  },
+
+  getGraphqlUrl(config) {
+    if (config.auth.graphqlUrl) {
+      return config.auth.graphqlUrl;
+    }
+    const base = String(config.auth.apiBaseUrl).replace(/\/+$/, "");
+    if (/\/api\/v3$/.test(base)) {
+      return base.replace(/\/api\/v3$/, "/api/graphql");
+    }
+    return `${base}/graphql`;
+  },
+
+  async graphqlRequest(config, token, query, variables, ttl) {
+    const body = JSON.stringify({ query, variables });
+    const cacheKey = this.getHttpCacheKey(
+      this.getGraphqlUrl(config),
+      `graphql:${crypto.createHash("sha1").update(body).digest("hex")}`
+    );
+    const now = Date.now();
+    const cached = this.httpCache.get(cacheKey);
+    if (cached && now - cached.fetchedAt < ttl) {
+      return cached.data;
+    }
+
+    const response = await this.scheduleRequest(this.getGraphqlUrl(config), token, {
+      method: "POST",
+      headers: {
+        "User-Agent": "MMM-GitPushy",
+        "Content-Type": "application/json",
+        Authorization: `bearer ${token}`
+      },
+      body
+    });
+
+    if (!response.ok) {
+      await this.handleRateLimit(response);
+      throw this.createResponseError(response, await response.text());
+    }
+
+    const json = await response.json();
+    const data = json.data || {};
+    await this.handleRateLimit(response, data.rateLimit);
+
+    const errors = Array.isArray(json.errors) ? json.errors : [];
+    const fatal = errors.filter((error) => error.type !== "NOT_FOUND");
+    if (fatal.length > 0) {
+      const types = fatal.map((error) => error.type);
+      let kind = "unknown";
+      if (types.includes("RATE_LIMITED")) {
+        kind = "rate-limit";
+      } else if (types.includes("FORBIDDEN")) {
+        kind = "auth";
+      }
+      throw this.createApiError(kind, `GitHub GraphQL error: ${fatal.map((error) => error.message).join("; ")}`);
+    }
+
+    this.httpCache.set(cacheKey, {
+      data,
+      etag: null,
+      fetchedAt: now,
+      // Lets a webhook expire only the batches that include its repo.
+      variables
+    });
+
+    return data;
+  },
+
+  buildPullEntry({ owner, repo, repoLabel }, pr, details, status) {
+    return {
+      provider: "github",
+      repo,
+      repoLabel,
+      owner,
+      number: pr.number,
+      title: pr.title,
+      html_url: pr.html_url,
+      updated_at: pr.updated_at,
+      created_at: pr.created_at,
+      state: details.state || pr.state,
+      authorLogin: (pr.user && pr.user.login) || (details.user && details.user.login) || null,
+      authorAvatarUrl:
+        (pr.user && pr.user.avatar_url) ||
+        (details.user && details.user.avatar_url) ||
+        null,
+      additions: details.additions,
+      deletions: details.deletions,
+      changed_files: details.changed_files,
+      draft: pr.draft === undefined ? details.draft : pr.draft,
+      base: pr.base || details.base,
+      reviewState: status.reviewState,
+      approvals: status.approvals,
+      requestedReviewers: status.requestedReviewers,
+      checksState: status.checksState,
+      mergeable: status.mergeable,
+      mergeableState: status.mergeableState,
+      labels: (details.labels || pr.labels || []).map((label) => label.name),
+      headRef: (details.head && details.head.ref) || (pr.head && pr.head.ref) || null,
+      headSha: (details.head && details.head.sha) || (pr.head && pr.head.sha) || null,
+      merged_at: details.merged_at || pr.merged_at || null
+    };
   },
 
-  isRateLimited(config) {
-    if (!config.refresh.backoffOnRateLimit) {
-      return false;
+  // Search results are capped before enrichment, so they are requested in the
+  // configured order when its first key is one the search API can sort by.
+  getSearchOrder(sort) {
+    const first = Array.isArray(sort && sort.by) && sort.by.length > 0 ? String(sort.by[0]) : "-updated_at";
+    const descending = first.startsWith("-");
+    const name = descending ? first.slice(1) : first;
+    const fields = { updated_at: "updated", created_at: "created" };
+    if (!fields[name]) {
+      return { sort: "updated", order: "desc" };
     }
-    if (!this.backoffUntil) {
-      return false;
+    return { sort: fields[name], order: descending ? "desc" : "asc" };
+  },
+  getTargetFilters(target, config) {
+    if (!target || !target.filters) {
+      return config.filters;
     }
-    return Date.now() < this.backoffUntil;
+    return this.applyDefaults(target.filters, config.filters);
   },
 
-  getAuthToken(config) {
-    if (config.auth.token && String(config.auth.token).trim().length > 0) {
-      return config.auth.token;
+  applyFilters(prs, filters) {
+    if (!filters) {
+      return prs;
     }
+    const titleInclude = this.compileRegexList(filters.titles.include);
+    const titleExclude = this.compileRegexList(filters.titles.exclude);
+    const now = Date.now();
 
-    const envVar = config.auth.tokenEnvVar;
-    return envVar ? process.env[envVar] : null;
-  },
+    return prs.filter((pr) => {
+      const labels = pr.labels || [];
+      if (!this.matchesRule(labels, filters.labels)) {
+        return false;
+      }
+      if (!this.matchesRule([pr.authorLogin], filters.authors)) {
+        return false;
+      }
+      if (!this.matchesRule([pr.base && pr.base.ref], filters.baseBranches)) {
+        return false;
+      }
+      if (!this.matchesRule([pr.headRef], filters.headBranches)) {
+        return false;
+      }
 
-  async fetchAllTargets(config, token, instanceId) {
-    const results = [];
-    const targets = Array.isArray(config.targets) ? config.targets : [];
-    for (const target of targets) {
-      const prs = await this.fetchRepoPulls(target, config, token, instanceId);
-      const limited = prs.slice(0, config.limits.maxPerRepo);
-      results.push(...limited);
-    }
+      const title = pr.title || "";
+      if (titleInclude.length > 0 && !titleInclude.some((regex) => regex.test(title))) {
+        return false;
+      }
+      if (titleExclude.some((regex) => regex.test(title))) {
+        return false;
+      }
 
-    const sorted = results.sort((a, b) => {
-      const timeA = new Date(a.updated_at).getTime();
-      const timeB = new Date(b.updated_at).getTime();
-      return timeB - timeA;
+      const age = filters.age;
+      const timestamp = new Date(pr[age.field] || pr.created_at).getTime();
+      if (Number.isFinite(timestamp)) {
+        const ageHours = (now - timestamp) / 3600000;
+        if (Number.isFinite(age.minHours) && ageHours < age.minHours) {
+          return false;
+        }
+        if (Number.isFinite(age.maxHours) && ageHours > age.maxHours) {
+          return false;
+        }
+      }
+
+      const size = filters.size;
+      if (Number.isFinite(pr.additions) && Number.isFinite(pr.deletions)) {
+        const changes = pr.additions + pr.deletions;
+        if (Number.isFinite(size.minChanges) && changes < size.minChanges) {
+          return false;
+        }
+        if (Number.isFinite(size.maxChanges) && changes > size.maxChanges) {
+          return false;
+        }
+      }
+
+      return true;
     });
+  },
 
-    return sorted.slice(0, config.limits.maxTotal);
+  matchesRule(values, rule) {
+    const present = values.filter(Boolean);
+    const include = (rule && rule.include) || [];
+    const exclude = (rule && rule.exclude) || [];
+    if (include.length > 0 && !present.some((value) => this.matchesGlob(value, include))) {
+      return false;
+    }
+    if (exclude.length > 0 && present.some((value) => this.matchesGlob(value, exclude))) {
+      return false;
+    }
+    return true;
   },
 
-  async fetchRepoPulls(target, config, token, instanceId) {
-    const owner = target.owner;
-    const repo = target.repo;
-    const repoKey = `${owner}/${repo}`;
+  compileRegexList(patterns) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    return list.filter(Boolean).reduce((compiled, pattern) => {
+      try {
+        compiled.push(new RegExp(pattern, "i"));
+      } catch (error) {
+        Log.warn(`MMM-GitPushy: Ignoring invalid title filter ${pattern}: ${error.message}`);
+      }
+      return compiled;
+    }, []);
+  },
 
-    const baseBranches = await this.resolveBaseBranches(target, config, token);
-    const listConfigs = baseBranches.length > 0 ? baseBranches : [null];
-    const listTtl = this.getListCacheTtl(config);
-    const detailsTtl = this.getDetailsCacheTtl(config);
+  isSearchTarget(target) {
+    return Boolean(target) && typeof target.search === "string" && target.search.trim().length > 0;
+  },
 
-    const pulls = [];
-    const rawLists = [];
-    const rawDetails = {};
-    for (const base of listConfigs) {
-      const listUrl = this.buildPullsUrl(config.auth.apiBaseUrl, owner, repo, {
-        state: config.query.state,
-        base
-      });
+  async fetchSearchPulls(target, config, token, instanceId) {
+    const detailsTtl = this.getDetailsCacheTtl(config);
+    const statusTtl = this.getStatusCacheTtl(config);
+    let query = /(^|\s)(is|type):pr(\s|$)/.test(target.search)
+      ? target.search.trim()
+      : `${target.search.trim()} is:pr`;
+    // Let search drop PRs in the wrong state instead of fetching details for them first.
+    const state = config.query.state;
+    if (state !== "all" && !/(^|\s)(is|state):(open|closed|merged|unmerged)(\s|$)/.test(query)) {
+      query = `${query} is:${state || "open"}`;
+    }
 
-      const listCacheKey = `pulls:${repoKey}:${base || "all"}:${config.query.state}`;
-      const listData = await this.fetchAllPages(
-        listUrl,
-        token,
-        listCacheKey,
-        listTtl
-      );
+    const url = new URL(`${config.auth.apiBaseUrl}/search/issues`);
+    url.searchParams.set("q", query);
+    const order = this.getSearchOrder(config.sort);
+    url.searchParams.set("sort", order.sort);
+    url.searchParams.set("order", order.order);
+    url.searchParams.set("per_page", "100");
 
-      rawLists.push({
-        base: base || null,
-        url: listUrl,
-        data: listData
-      });
-      pulls.push(...listData);
-    }
+    const items = await this.fetchAllPages(
+      url.toString(),
+      token,
+      `search:${query}`,
+      this.getListCacheTtl(config),
+      config.limits.maxTotal
+    );
+
+    // Each result costs up to four more calls, so only PRs that pass the target's
+    // filters count toward the limits; the final cut is made after sorting.
+    const filters = this.getTargetFilters(target, config);
+    const enriched = [];
+    const perRepo = new Map();
+    const rawDetails = {};
+    for (const item of items) {
+      if (enriched.length >= config.limits.maxTotal) {
+        break;
+      }
+      if (!item.pull_request) {
+        continue;
+      }
+      if (!config.query.includeDrafts && item.draft) {
+        continue;
+      }
 
-    const unique = this.uniquePulls(pulls);
-    const filtered = unique.filter((pr) => {
-      if (!config.query.includeDrafts && pr.draft) {
-        return false;
+      const match = String(item.repository_url || "").match(/\/repos\/([^/]+)\/([^/]+)$/);
+      if (!match) {
+        continue;
+      }
+      const [, owner, repo] = match;
+      const repoKey = `${owner}/${repo}`.toLowerCase();
+      if ((perRepo.get(repoKey) || 0) >= config.limits.maxPerRepo) {
+        continue;
       }
-      return true;
-    });
 
-    const enriched = [];
-    for (const pr of filtered) {
       const details = await this.fetchPullDetails(
         config.auth.apiBaseUrl,
         owner,
         repo,
-        pr.number,
+        item.number,
         token,
         detailsTtl
       );
+      rawDetails[`${owner}/${repo}#${item.number}`] = details;
 
-      rawDetails[pr.number] = details;
+      if (!config.query.includeDrafts && details.draft) {
+        continue;
+      }
+      if (!this.matchesStateFilter(details, state)) {
+        continue;
+      }
 
-      if (!this.matchesStateFilter(details, config.query.state)) {
+      const meta = { owner, repo, repoLabel: this.getSearchRepoLabel(target, owner, repo) };
+      // The filters only look at details, so status is fetched for matches only.
+      if (this.applyFilters([this.buildPullEntry(meta, details, details, {})], filters).length === 0) {
         continue;
       }
 
-      enriched.push({
-        repo,
-        repoLabel: target.displayName || repo,
+      const status = await this.fetchPullStatus(
+        config,
         owner,
-        number: pr.number,
-        title: pr.title,
-        html_url: pr.html_url,
-        updated_at: pr.updated_at,
-        created_at: pr.created_at,
-        state: details.state || pr.state,
-        authorLogin: (pr.user && pr.user.login) || (details.user && details.user.login) || null,
-        authorAvatarUrl:
-          (pr.user && pr.user.avatar_url) ||
-          (details.user && details.user.avatar_url) ||
-          null,
-        additions: details.additions,
-        deletions: details.deletions,
-        changed_files: details.changed_files,
-        draft: pr.draft,
-        base: pr.base
-      });
+        repo,
+        details,
+        token,
+        statusTtl
+      );
+
+      enriched.push(this.buildPullEntry(meta, details, details, status));
+      perRepo.set(repoKey, (perRepo.get(repoKey) || 0) + 1);
     }
 
     if (config.debug && config.debug.logApiResponses) {
       this.sendSocketNotification("GITPUSHY_DEBUG", {
         instanceId,
-        owner,
-        repo,
-        state: config.query.state,
-        rawLists,
+        search: query,
+        rawSearch: items,
         rawDetails
       });
     }
@@ -278,6 +3225,11 @@ module.exports = NodeHelper.create({
     return enriched;
   },
 
+  getSearchRepoLabel(target, owner, repo) {
+    const labels = target.repoLabels || {};
+    return labels[`${owner}/${repo}`] || labels[repo] || repo;
+  },
+
   matchesStateFilter(details, state) {
     const desired = state || "open";
     if (desired === "all") {
@@ -311,22 +3263,27 @@ module.exports = NodeHelper.create({
   },
 
   async resolveDefaultBranch(target, config, token) {
-    const cacheKey = `${target.owner}/${target.repo}`;
-    const cached = this.repoMetaCache.get(cacheKey);
+    const provider = this.getTargetProvider(target);
+    const cacheKey = provider === "github"
+      ? `${target.owner}/${target.repo}`
+      : `${provider}:${target.owner}/${target.repo}`;
+    const metaKey = this.getRepoMetaKey(target, config);
+    const cached = this.repoMetaCache.get(metaKey);
     if (cached && Date.now() - cached.fetchedAt < 3600000) {
       return cached.defaultBranch ? [cached.defaultBranch] : [];
     }
 
     try {
-      const url = `${config.auth.apiBaseUrl}/repos/${target.owner}/${target.repo}`;
       const data = await this.httpGet(
-        url,
+        this.getRepoApiUrl(target, config),
         token,
         `repo:${cacheKey}`,
-        3600000
+        3600000,
+        false,
+        provider === "gitlab" ? "Bearer" : "token"
       );
       const defaultBranch = data.default_branch || null;
-      this.repoMetaCache.set(cacheKey, {
+      this.repoMetaCache.set(metaKey, {
         defaultBranch,
         fetchedAt: Date.now()
       });
@@ -337,11 +3294,29 @@ module.exports = NodeHelper.create({
     }
   },
 
+  limitPerRepo(prs, max) {
+    // Search targets span repos, so the per-repo cap is counted per repository, not per target.
+    const counts = new Map();
+    return prs.filter((pr) => {
+      const key = `${pr.owner}/${pr.repo}`.toLowerCase();
+      const count = counts.get(key) || 0;
+      counts.set(key, count + 1);
+      return count < max;
+    });
+  },
+
+  getPullKey(pr) {
+    // The web host keeps the same repo on github.com and an Enterprise server apart.
+    const host = /^https?:\/\/([^/]+)/.exec(pr.html_url || "");
+    const repo = pr.base && pr.base.repo ? pr.base.repo.full_name : "";
+    return `${pr.provider || ""}:${host ? host[1].toLowerCase() : ""}/${repo}#${pr.number}`;
+  },
+
   uniquePulls(pulls) {
     const seen = new Set();
     const unique = [];
     pulls.forEach((pr) => {
-      const key = `${pr.base && pr.base.repo ? pr.base.repo.full_name : ""}#${pr.number}`;
+      const key = this.getPullKey(pr);
       if (seen.has(key)) {
         return;
       }
@@ -357,6 +3332,140 @@ module.exports = NodeHelper.create({
     return this.httpGet(url, token, cacheKey, ttl);
   },
 
+  async fetchPullStatus(config, owner, repo, details, token, ttl) {
+    const apiBaseUrl = config.auth.apiBaseUrl;
+    const number = details.number;
+    const sha = details.head && details.head.sha;
+    const status = {
+      reviewState: null,
+      approvals: 0,
+      requestedReviewers: this.getRequestedReviewers(details),
+      checksState: null,
+      mergeable: typeof details.mergeable === "boolean" ? details.mergeable : null,
+      mergeableState: details.mergeable_state || null,
+      raw: {}
+    };
+
+    if (config.query.includeReviews) {
+      try {
+        const url = `${apiBaseUrl}/repos/${owner}/${repo}/pulls/${number}/reviews?per_page=100`;
+        const reviews = await this.fetchAllPages(
+          url,
+          token,
+          `reviews:${owner}/${repo}/${number}`,
+          ttl
+        );
+        const summary = this.summarizeReviews(reviews, status.requestedReviewers);
+        status.reviewState = summary.state;
+        status.approvals = summary.approvals;
+        status.raw.reviews = reviews;
+      } catch (error) {
+        Log.warn(`MMM-GitPushy: Failed to load reviews for ${owner}/${repo}#${number}: ${error}`);
+      }
+    }
+
+    if (config.query.includeChecks && sha) {
+      try {
+        const checkRuns = await this.httpGet(
+          `${apiBaseUrl}/repos/${owner}/${repo}/commits/${sha}/check-runs?per_page=100`,
+          token,
+          `checks:${owner}/${repo}/${sha}`,
+          ttl
+        );
+        const combined = await this.httpGet(
+          `${apiBaseUrl}/repos/${owner}/${repo}/commits/${sha}/status`,
+          token,
+          `status:${owner}/${repo}/${sha}`,
+          ttl
+        );
+        status.checksState = this.summarizeChecks(checkRuns, combined);
+        status.raw.checkRuns = checkRuns;
+        status.raw.combinedStatus = combined;
+      } catch (error) {
+        Log.warn(`MMM-GitPushy: Failed to load checks for ${owner}/${repo}#${number}: ${error}`);
+      }
+    }
+
+    return status;
+  },
+
+  getRequestedReviewers(details) {
+    const users = Array.isArray(details.requested_reviewers)
+      ? details.requested_reviewers.map((user) => user.login)
+      : [];
+    const teams = Array.isArray(details.requested_teams)
+      ? details.requested_teams.map((team) => `@${team.slug}`)
+      : [];
+    return users.concat(teams).filter(Boolean);
+  },
+
+  summarizeReviews(reviews, requestedReviewers) {
+    // Only the latest decisive review per reviewer counts; comments don't change state.
+    const latest = new Map();
+    (reviews || []).forEach((review) => {
+      const login = review.user && review.user.login;
+      if (!login) {
+        return;
+      }
+      if (review.state === "APPROVED" || review.state === "CHANGES_REQUESTED") {
+        latest.set(login, review.state);
+      } else if (review.state === "DISMISSED") {
+        latest.delete(login);
+      }
+    });
+
+    const states = Array.from(latest.values());
+    const approvals = states.filter((state) => state === "APPROVED").length;
+
+    let state = "review_required";
+    if (states.includes("CHANGES_REQUESTED")) {
+      state = "changes_requested";
+    } else if (approvals > 0 && requestedReviewers.length === 0) {
+      state = "approved";
+    }
+
+    return { state, approvals };
+  },
+
+  summarizeChecks(checkRuns, combined) {
+    const states = [];
+
+    const runs = checkRuns && Array.isArray(checkRuns.check_runs) ? checkRuns.check_runs : [];
+    runs.forEach((run) => {
+      if (run.status !== "completed") {
+        states.push("pending");
+        return;
+      }
+      if (["success", "neutral", "skipped"].includes(run.conclusion)) {
+        states.push("success");
+        return;
+      }
+      states.push("failure");
+    });
+
+    // The combined status reports "pending" with no statuses at all; ignore that case.
+    if (combined && combined.total_count > 0 && combined.state) {
+      states.push(combined.state === "error" ? "failure" : combined.state);
+    }
+
+    if (states.length === 0) {
+      return null;
+    }
+    if (states.includes("failure")) {
+      return "failure";
+    }
+    if (states.includes("pending")) {
+      return "pending";
+    }
+    return "success";
+  },
+
+  getRepoMetaKey(target, config) {
+    // github.com and an Enterprise server can both have an octo-org/widgets.
+    const apiBaseUrl = this.getTargetConfig(target, config).auth.apiBaseUrl;
+    return `${apiBaseUrl} ${target.owner}/${target.repo}`;
+  },
+
   buildPullsUrl(apiBaseUrl, owner, repo, { state, base }) {
     const url = new URL(`${apiBaseUrl}/repos/${owner}/${repo}/pulls`);
     url.searchParams.set("state", state || "open");
@@ -367,15 +3476,17 @@ module.exports = NodeHelper.create({
     return url.toString();
   },
 
-  async fetchAllPages(url, token, cacheKey, ttl) {
+  async fetchAllPages(url, token, cacheKey, ttl, maxItems = Infinity, authScheme = "token") {
     const all = [];
     let nextUrl = url;
     let page = 1;
 
-    while (nextUrl) {
+    while (nextUrl && all.length < maxItems) {
       const pageCacheKey = `${cacheKey}:page:${page}`;
-      const response = await this.httpGet(nextUrl, token, pageCacheKey, ttl, true);
-      all.push(...response.data);
+      const response = await this.httpGet(nextUrl, token, pageCacheKey, ttl, true, authScheme);
+      // Search endpoints wrap each page in { total_count, items }.
+      const items = Array.isArray(response.data) ? response.data : response.data.items || [];
+      all.push(...items);
       nextUrl = response.nextUrl;
       page += 1;
     }
@@ -407,26 +3518,58 @@ module.exports = NodeHelper.create({
     return interval;
   },
 
-  async httpGet(url, token, cacheKey, ttl, includePagination = false) {
-    const now = Date.now();
-    const cached = this.httpCache.get(cacheKey);
-    if (cached && now - cached.fetchedAt < ttl) {
+  getStatusCacheTtl(config) {
+    const explicit = config.refresh.statusCacheTtlMs;
+    if (Number.isFinite(explicit) && explicit >= 0) {
+      return explicit;
+    }
+    const interval = config.refresh.updateIntervalMs;
+    if (!Number.isFinite(interval) || interval <= 0) {
+      return 0;
+    }
+    return interval * 3;
+  },
+
+  getHttpCacheKey(url, cacheKey) {
+    // Callers key by repo and resource; the host keeps same-named repos on different servers apart.
+    return `${new URL(url).origin} ${cacheKey}`;
+  },
+
+  async httpGet(url, token, cacheKey, ttl, includePagination = false, authScheme = "token") {
+    const cached = this.httpCache.get(this.getHttpCacheKey(url, cacheKey));
+    if (cached && Date.now() - cached.fetchedAt < ttl) {
       return cached.data;
     }
 
+    // Identical GETs from several instances (or overlapping refreshes) share one round trip.
+    const inflightKey = `${cacheKey}\n${url}\n${token || ""}`;
+    if (this.inflight.has(inflightKey)) {
+      return this.inflight.get(inflightKey);
+    }
+    const request = this.performGet(url, token, cacheKey, includePagination, authScheme).finally(() =>
+      this.inflight.delete(inflightKey)
+    );
+    this.inflight.set(inflightKey, request);
+    return request;
+  },
+
+  async performGet(url, token, cacheKey, includePagination, authScheme) {
+    const now = Date.now();
+    const key = this.getHttpCacheKey(url, cacheKey);
+    const cached = this.httpCache.get(key);
     const headers = {
       "User-Agent": "MMM-GitPushy"
     };
 
     if (token) {
-      headers.Authorization = `token ${token}`;
+      headers.Authorization = `${authScheme} ${token}`;
     }
 
     if (cached && cached.etag) {
       headers["If-None-Match"] = cached.etag;
     }
 
-    const response = await fetch(url, { headers });
+    const response = await this.scheduleRequest(url, token, { headers });
 
     if (response.status === 304 && cached) {
       cached.fetchedAt = now;
@@ -435,8 +3578,7 @@ module.exports = NodeHelper.create({
 
     if (!response.ok) {
       await this.handleRateLimit(response);
-      const text = await response.text();
-      throw new Error(`GitHub API error ${response.status}: ${text}`);
+      throw this.createResponseError(response, await response.text());
     }
 
     const data = await response.json();
@@ -450,7 +3592,7 @@ module.exports = NodeHelper.create({
       };
     }
 
-    this.httpCache.set(cacheKey, {
+    this.httpCache.set(key, {
       data: payload,
       etag,
       fetchedAt: now
@@ -459,7 +3601,164 @@ module.exports = NodeHelper.create({
     return payload;
   },
 
-  async handleRateLimit(response) {
+  async mapWithConcurrency(items, limit, worker) {
+    const queue = items.slice();
+    const size = Math.max(1, Math.min(Number(limit) || 1, queue.length));
+    const runners = Array.from({ length: size }, async () => {
+      while (queue.length > 0) {
+        await worker(queue.shift());
+      }
+    });
+    await Promise.all(runners);
+  },
+
+  async scheduleRequest(url, token, init, state = { attempt: 0, waited: false }) {
+    const budgetKey = this.getRateBudgetKey(url, token);
+    const delay = this.getPacingDelay(this.rateBudgets.get(budgetKey));
+    if (delay > SCHEDULER.maxWaitMs) {
+      const budget = this.rateBudgets.get(budgetKey);
+      this.backoffUntil = Math.max(this.backoffUntil || 0, budget.blockedUntil || budget.resetAt);
+      throw this.createApiError(
+        "rate-limit",
+        `Rate limit nearly exhausted for ${new URL(url).host}. Waiting to retry.`
+      );
+    }
+    if (delay > 0) {
+      await this.sleep(delay);
+    }
+
+    await this.acquireRequestSlot();
+    let response;
+    let networkError = null;
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      networkError = error;
+    } finally {
+      this.releaseRequestSlot();
+    }
+
+    // Network failures and 5xx answers are usually transient; back off and try again.
+    if (networkError || response.status >= 500) {
+      if (state.attempt < SCHEDULER.maxRetries) {
+        await this.sleep(this.getRetryDelay(state.attempt));
+        return this.scheduleRequest(url, token, init, { ...state, attempt: state.attempt + 1 });
+      }
+      if (networkError) {
+        throw this.createApiError(
+          "network",
+          `${ERROR_MESSAGES.network} (${networkError.code || networkError.message})`
+        );
+      }
+    }
+
+    this.recordRateBudget(budgetKey, response);
+
+    // Secondary rate limits answer 403/429 with retry-after; wait it out once if it is short.
+    const retryAfter = Number(response.headers.get("retry-after"));
+    if ((response.status === 403 || response.status === 429) && !state.waited) {
+      const budget = this.rateBudgets.get(budgetKey);
+      const secondary = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : await this.getSecondaryBackoff(response);
+      if (secondary > 0) {
+        budget.blockedUntil = Date.now() + secondary;
+        if (secondary <= SCHEDULER.maxWaitMs) {
+          return this.scheduleRequest(url, token, init, { ...state, waited: true });
+        }
+      }
+    }
+
+    return response;
+  },
+
+  getRetryDelay(attempt) {
+    const base = SCHEDULER.retryBaseMs * 2 ** attempt;
+    return Math.round(base / 2 + Math.random() * base);
+  },
+
+  async getSecondaryBackoff(response) {
+    if (response.headers.get("x-ratelimit-remaining") === "0") {
+      return 0;
+    }
+    const text = await response.clone().text();
+    return /secondary rate limit|abuse/i.test(text) ? SCHEDULER.secondaryBackoffMs : 0;
+  },
+
+  getRateBudgetKey(url, token) {
+    const parsed = new URL(url);
+    let resource = "core";
+    if (parsed.pathname.includes("/search/")) {
+      resource = "search";
+    } else if (parsed.pathname.endsWith("/graphql")) {
+      resource = "graphql";
+    }
+    const fingerprint = token ? crypto.createHash("sha1").update(String(token)).digest("hex").slice(0, 12) : "anonymous";
+    return `${parsed.host}|${fingerprint}|${resource}`;
+  },
+
+  recordRateBudget(budgetKey, response) {
+    const budget = this.rateBudgets.get(budgetKey) || { blockedUntil: 0 };
+    const limit = Number(response.headers.get("x-ratelimit-limit"));
+    const remaining = Number(response.headers.get("x-ratelimit-remaining"));
+    const reset = Number(response.headers.get("x-ratelimit-reset"));
+    if (Number.isFinite(limit) && response.headers.get("x-ratelimit-limit") !== null) {
+      budget.limit = limit;
+    }
+    if (Number.isFinite(remaining) && response.headers.get("x-ratelimit-remaining") !== null) {
+      budget.remaining = remaining;
+    }
+    if (Number.isFinite(reset) && response.headers.get("x-ratelimit-reset") !== null) {
+      budget.resetAt = reset * 1000;
+    }
+    this.rateBudgets.set(budgetKey, budget);
+  },
+
+  getPacingDelay(budget) {
+    const now = Date.now();
+    if (!budget) {
+      return 0;
+    }
+    if (budget.blockedUntil > now) {
+      return budget.blockedUntil - now;
+    }
+    if (!Number.isFinite(budget.remaining) || !Number.isFinite(budget.resetAt) || budget.resetAt <= now) {
+      return 0;
+    }
+
+    const reserve = Number.isFinite(budget.limit) ? budget.limit * this.rateLimitReserve : 0;
+    if (budget.remaining > reserve) {
+      return 0;
+    }
+    if (budget.remaining <= 0) {
+      return budget.resetAt - now;
+    }
+    // Inside the reserve, spread what is left evenly over the time until the reset.
+    return Math.ceil((budget.resetAt - now) / budget.remaining);
+  },
+
+  acquireRequestSlot() {
+    if (this.requestSlots.active < SCHEDULER.maxConcurrentRequests) {
+      this.requestSlots.active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.requestSlots.waiting.push(resolve));
+  },
+
+  releaseRequestSlot() {
+    const next = this.requestSlots.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+    this.requestSlots.active -= 1;
+  },
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  },
+
+  async handleRateLimit(response, graphqlRateLimit) {
     const remaining = response.headers.get("x-ratelimit-remaining");
     const reset = response.headers.get("x-ratelimit-reset");
     if (remaining === "0" && reset) {
@@ -468,6 +3767,17 @@ module.exports = NodeHelper.create({
         this.backoffUntil = resetMs;
       }
     }
+
+    // GraphQL is billed in points: stop before the next query of the same cost would fail.
+    if (graphqlRateLimit && graphqlRateLimit.resetAt) {
+      const cost = Number(graphqlRateLimit.cost) || 1;
+      if (Number(graphqlRateLimit.remaining) < cost) {
+        const resetMs = Date.parse(graphqlRateLimit.resetAt);
+        if (!Number.isNaN(resetMs)) {
+          this.backoffUntil = resetMs;
+        }
+      }
+    }
   },
 
   getNextPageUrl(linkHeader) {
@@ -484,6 +3794,65 @@ module.exports = NodeHelper.create({
     return null;
   },
 
+  createApiError(kind, message, status = null, detail = null) {
+    const error = new Error(message);
+    error.kind = kind;
+    error.status = status;
+    error.detail = detail;
+    return error;
+  },
+
+  createResponseError(response, text) {
+    const status = response.status;
+    let detail = text;
+    try {
+      detail = JSON.parse(text).message || text;
+    } catch (error) {
+      // Not JSON; keep the raw body.
+    }
+    detail = String(detail || "").trim().slice(0, 200);
+
+    let kind = "unknown";
+    if (status === 401) {
+      kind = "auth";
+    } else if (status === 429 || (status === 403 && (response.headers.get("x-ratelimit-remaining") === "0" || /rate limit/i.test(detail)))) {
+      kind = "rate-limit";
+    } else if (status === 403) {
+      kind = "auth";
+    } else if (status === 404 || status === 410) {
+      kind = "not-found";
+    } else if (status >= 500) {
+      kind = "server";
+    }
+
+    const message = kind === "unknown" && detail
+      ? `${ERROR_MESSAGES.unknown} (HTTP ${status}): ${detail}`
+      : `${ERROR_MESSAGES[kind]} (HTTP ${status})`;
+    return this.createApiError(kind, message, status, detail);
+  },
+
+  describeTargetError(target, error) {
+    return {
+      target: this.getTargetLabel(target),
+      kind: error.kind || "unknown",
+      status: error.status || null,
+      message: this.formatError(error)
+    };
+  },
+
+  getTargetLabel(target) {
+    if (target.displayName) {
+      return target.displayName;
+    }
+    if (this.isSearchTarget(target)) {
+      return `search: ${target.search}`;
+    }
+    if (this.isAccountTarget(target)) {
+      return target.org || target.user;
+    }
+    return `${target.owner}/${target.repo}`;
+  },
+
   formatError(error) {
     if (error && error.message) {
       return error.message;
@@ -0,0 +1,115 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { validateConfig, formatProblem, suggest } = require("../config-schema");
+const { loadHelper, normalizeConfig, disposeHelper } = require("./support/load-helper");
+
+const messages = (config) => validateConfig(config).map(formatProblem);
+
+describe("validateConfig", () => {
+  test("accepts the helper defaults and the documented target shapes", () => {
+    const helper = loadHelper();
+    try {
+      const config = normalizeConfig(helper, {
+        targets: [
+          { owner: "your-org", repo: "app", baseBranchesMode: "list", baseBranches: ["main", "develop"] },
+          { provider: "gitlab", apiBaseUrl: "https://gitlab.example.com/api/v4", owner: "group/sub", repo: "project" },
+          { org: "your-org", include: ["svc-*"], includeArchived: false },
+          { search: "is:open review-requested:@me", repoLabels: { "your-org/app": "App" } }
+        ],
+        grouping: { mode: ["repo", "author"] },
+        alerts: { quietHours: { start: "22:00", end: "07:00" } },
+        integrations: [{ name: "home-assistant", events: ["merged"], repos: null }]
+      });
+      assert.deepEqual(messages(config), []);
+    } finally {
+      disposeHelper(helper);
+    }
+  });
+
+  test("suggests the closest key for unknown options", () => {
+    assert.deepEqual(messages({ display: { timestampFeild: "updated_at" }, refresh: { updateInterval: 60000 } }), [
+      'display.timestampFeild: unknown option (did you mean "timestampField"?)',
+      'refresh.updateInterval: unknown option (did you mean "updateIntervalMs"?)'
+    ]);
+    assert.deepEqual(messages({ colour: "red" }), ["colour: unknown option"]);
+  });
+
+  test("reports invalid enum values with a suggestion", () => {
+    assert.deepEqual(messages({ grouping: { mode: "repos" }, display: { timestampField: "updated" } }), [
+      'grouping.mode: "repos" is not one of "none", "repo", "author", "base", "label", "draft", "review", "age" (did you mean "repo"?)',
+      'display.timestampField: "updated" is not one of "updated_at", "created_at" (did you mean "updated_at"?)'
+    ]);
+    assert.deepEqual(messages({ sort: { by: ["-updated"] } }).length, 1);
+    assert.match(messages({ sort: { by: ["-updated"] } })[0], /did you mean "-updated_at"/);
+  });
+
+  test("reports wrong types and out-of-range numbers", () => {
+    assert.deepEqual(
+      messages({
+        limits: { maxTotal: "20" },
+        display: { pageSize: 0, showRepoName: "yes" },
+        refresh: { concurrency: 2.5 },
+        targets: { owner: "a", repo: "b" },
+        alerts: { quietHours: { start: "10pm", end: "07:00" } }
+      }),
+      [
+        'limits.maxTotal: expected a number, got "20"',
+        "display.pageSize: must be at least 1, got 0",
+        'display.showRepoName: expected a boolean, got "yes"',
+        "refresh.concurrency: expected a whole number, got 2.5",
+        "targets: expected an array, got an object",
+        'alerts.quietHours.start: "10pm" should look like HH:MM'
+      ]
+    );
+  });
+
+  test("reports targets that can't be fetched", () => {
+    assert.deepEqual(
+      messages({
+        targets: [
+          { owner: "octo-org" },
+          { repo: "widgets" },
+          { owner: "octo-org", repo: "widgets", baseBranchesMode: "list" },
+          { org: "octo-org", user: "octocat" },
+          { search: "is:open", provider: "gitlab" },
+          { owner: "octo-org", reop: "widgets" }
+        ]
+      }),
+      [
+        'targets[5].reop: unknown option (did you mean "repo"?)',
+        "targets[0]: needs repo (or search, org or user)",
+        "targets[1]: needs owner (or search, org or user)",
+        'targets[2].baseBranches: baseBranchesMode "list" needs at least one branch in baseBranches',
+        "targets[3]: set either org or user, not both",
+        "targets[4].search: search targets only work with GitHub",
+        "targets[5]: needs repo (or search, org or user)"
+      ]
+    );
+  });
+
+  test("reports impossible combinations elsewhere in the config", () => {
+    assert.deepEqual(
+      messages({
+        filters: { age: { minHours: 48, maxHours: 24 } },
+        aging: { warningHours: 72, criticalHours: 24, businessHours: { enabled: true, startHour: 18, endHour: 9 } },
+        grouping: { mode: ["repo", "none"] },
+        integrations: [{ events: ["merged"] }]
+      }),
+      [
+        "filters.age: minHours (48) is larger than maxHours (24)",
+        "aging: warningHours (72) is larger than criticalHours (24)",
+        "aging.businessHours: startHour (18) must be before endHour (9)",
+        'grouping.mode: "none" can\'t be combined with other modes',
+        "integrations[0]: needs the name of an entry in integrations.json"
+      ]
+    );
+  });
+});
+
+describe("suggest", () => {
+  test("only offers close matches", () => {
+    assert.equal(suggest("pagesize", ["pageSize", "pageIntervalMs"]), "pageSize");
+    assert.equal(suggest("colour", ["layout", "pageSize"]), null);
+  });
+});
@@ -0,0 +1,234 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { loadModule } = require("./support/load-module");
+
+const PRS = [
+  {
+    owner: "octo-org",
+    repo: "widgets",
+    repoLabel: "widgets",
+    number: 18,
+    title: "Add dark mode toggle to settings",
+    updated_at: "2024-05-06T15:30:00Z",
+    authorLogin: "mona",
+    authorAvatarUrl: "https://avatars.githubusercontent.com/u/18?v=4",
+    additions: 240,
+    deletions: 31,
+    changed_files: 9,
+    draft: false,
+    reviewState: "review_required",
+    checksState: "failure",
+    labels: ["enhancement"],
+    base: { ref: "main" }
+  },
+  {
+    owner: "octo-org",
+    repo: "gadgets",
+    repoLabel: "gadgets",
+    number: 4,
+    title: "Bump dependencies",
+    updated_at: "2024-05-05T10:00:00Z",
+    authorLogin: "hubot",
+    authorAvatarUrl: null,
+    additions: 12,
+    deletions: 12,
+    changed_files: 1,
+    draft: true,
+    reviewState: null,
+    checksState: "success",
+    labels: [],
+    base: { ref: "main" }
+  }
+];
+
+function receive(module, notification, payload) {
+  module.socketNotificationReceived(notification, { instanceId: module.instanceId, ...payload });
+}
+
+describe("getDom", () => {
+  test("shows a loading message before the first data arrives", () => {
+    const { module } = loadModule();
+    const dom = module.getDom();
+    assert.equal(dom.className, "gitpushy");
+    assert.equal(dom.querySelector(".gitpushy-loading").textContent, "Loading pull requests…");
+    assert.deepEqual(
+      module.socketNotifications.map((entry) => entry.notification),
+      ["GITPUSHY_CONFIG"]
+    );
+  });
+
+  test("renders one row per pull request", () => {
+    const { module } = loadModule();
+    receive(module, "GITPUSHY_DATA", { prs: PRS });
+    const dom = module.getDom();
+    const rows = dom.querySelectorAll(".gitpushy-row");
+    assert.equal(rows.length, 2);
+
+    const first = rows[0];
+    assert.equal(first.querySelector(".gitpushy-repo").textContent, "widgets");
+    assert.equal(first.querySelector(".gitpushy-title-text").textContent, "Add dark mode toggle to settings");
+    assert.equal(first.querySelector(".gitpushy-additions").textContent, "+240");
+    assert.equal(first.querySelector(".gitpushy-deletions").textContent, "-31");
+    assert.equal(first.querySelector(".gitpushy-files").textContent, "9 files");
+    assert.equal(first.querySelector(".gitpushy-avatar").title, "mona");
+    // Without moment the raw timestamp is shown.
+    assert.equal(first.querySelector(".gitpushy-pill-time").textContent, "2024-05-06T15:30:00Z");
+    assert.equal(rows[1].querySelector(".gitpushy-avatar"), null);
+  });
+
+  test("truncates long titles and honours display toggles", () => {
+    const { module } = loadModule({
+      display: { truncateTitleAt: 10, showRepoName: false, showTimestamp: false, showAuthorAvatar: false }
+    });
+    receive(module, "GITPUSHY_DATA", { prs: [PRS[0]] });
+    const row = module.getDom().querySelector(".gitpushy-row");
+    assert.ok(row.querySelector(".gitpushy-title-text").textContent.length <= 10);
+    assert.equal(row.querySelector(".gitpushy-repo"), null);
+    assert.equal(row.querySelector(".gitpushy-pill-time"), null);
+    assert.equal(row.querySelector(".gitpushy-avatar"), null);
+  });
+
+  test("shows the empty message only when enabled", () => {
+    const shown = loadModule({ display: { showEmptyMessage: true } });
+    receive(shown.module, "GITPUSHY_DATA", { prs: [] });
+    assert.equal(shown.module.getDom().querySelector(".gitpushy-empty").textContent, "No pull requests.");
+
+    const hidden = loadModule();
+    receive(hidden.module, "GITPUSHY_DATA", { prs: [] });
+    assert.equal(hidden.module.getDom().childNodes.length, 0);
+  });
+
+  test("keeps cached rows under an error", () => {
+    const { module } = loadModule();
+    receive(module, "GITPUSHY_ERROR", { message: "GitHub rejected the token (HTTP 401)", prs: PRS });
+    const dom = module.getDom();
+    assert.equal(dom.firstChild.className, "gitpushy-error");
+    assert.equal(dom.firstChild.textContent, "GitHub rejected the token (HTTP 401)");
+    assert.equal(dom.querySelectorAll(".gitpushy-row").length, 2);
+  });
+
+  test("lists failing targets next to the rows that did load", () => {
+    const { module } = loadModule();
+    receive(module, "GITPUSHY_DATA", {
+      prs: [PRS[0]],
+      errors: [{ target: "octo-org/gadgets", kind: "not-found", message: "Repository not found (HTTP 404)" }]
+    });
+    const dom = module.getDom();
+    const error = dom.querySelector(".gitpushy-target-error-not-found");
+    assert.equal(error.querySelector(".gitpushy-target-error-name").textContent, "octo-org/gadgets");
+    assert.equal(dom.querySelectorAll(".gitpushy-row").length, 1);
+  });
+
+  test("groups rows under headers with counts", () => {
+    const { module } = loadModule({ grouping: { mode: "draft" } });
+    receive(module, "GITPUSHY_DATA", { prs: PRS });
+    const children = Array.from(module.getDom().childNodes);
+    assert.deepEqual(
+      children.map((node) =>
+        node.classList.contains("gitpushy-group-header")
+          ? `${node.querySelector(".gitpushy-group-label").textContent} (${node.querySelector(".gitpushy-group-count").textContent})`
+          : node.querySelector(".gitpushy-title-text").textContent
+      ),
+      ["Ready for review (1)", "Add dark mode toggle to settings", "Drafts (1)", "Bump dependencies"]
+    );
+  });
+
+  test("ignores data meant for another instance", () => {
+    const { module } = loadModule();
+    module.socketNotificationReceived("GITPUSHY_DATA", { instanceId: "module_9_MMM-GitPushy", prs: PRS });
+    assert.equal(module.loaded, false);
+    assert.ok(module.getDom().querySelector(".gitpushy-loading"));
+  });
+
+  test("lists config problems above everything else and keeps them after data arrives", () => {
+    const { module } = loadModule({ display: { timestampFeild: "created_at" }, grouping: { mode: "repos" } });
+    receive(module, "GITPUSHY_DATA", { prs: PRS });
+    const dom = module.getDom();
+    const problems = dom.firstChild;
+    assert.ok(problems.classList.contains("gitpushy-config-errors"));
+    assert.equal(problems.firstChild.textContent, "MMM-GitPushy config: 2 problems");
+    assert.deepEqual(
+      Array.from(problems.querySelectorAll(".gitpushy-config-error")).map((node) => node.textContent),
+      [
+        'display.timestampFeild: unknown option (did you mean "timestampField"?)',
+        'grouping.mode: "repos" is not one of "none", "repo", "author", "base", "label", "draft", "review", "age" (did you mean "repo"?)'
+      ]
+    );
+  });
+});
+
+describe("row nodes", () => {
+  test("gives a PR under two label groups a row in each", () => {
+    const { module, document } = loadModule({ grouping: { mode: "label" } });
+    const pr = { ...PRS[0], labels: ["enhancement", "ui"] };
+    receive(module, "GITPUSHY_DATA", { prs: [pr] });
+    const dom = document.body.appendChild(module.getDom());
+    // The second update is patched into the live wrapper from cached nodes.
+    receive(module, "GITPUSHY_DATA", { prs: [pr, PRS[1]] });
+    assert.equal(dom.querySelectorAll(".gitpushy-row").length, 3);
+  });
+
+  test("highlights new rows once, not again on page flips", () => {
+    const { module } = loadModule({ display: { layout: "pager", pageSize: 1 } });
+    try {
+      receive(module, "GITPUSHY_DATA", { prs: [PRS[0]] });
+      module.getDom();
+      receive(module, "GITPUSHY_DATA", { prs: [PRS[1], PRS[0]] });
+      const highlighted = (dom) => dom.querySelectorAll(".gitpushy-row-new").length;
+      assert.equal(highlighted(module.getDom()), 1);
+      module.nextPage();
+      module.nextPage();
+      assert.equal(highlighted(module.getDom()), 0);
+    } finally {
+      clearInterval(module.pageTimer);
+    }
+  });
+});
+
+describe("getPollInterval", () => {
+  test("falls back to the defaults and never drops below ten seconds", () => {
+    assert.equal(loadModule().module.getPollInterval(), 60000);
+    assert.equal(loadModule({ webhook: { enabled: true } }).module.getPollInterval(), 900000);
+    assert.equal(loadModule({ refresh: { updateIntervalMs: 0 } }).module.getPollInterval(), 10000);
+    assert.equal(loadModule({ refresh: { updateIntervalMs: "soon" } }).module.getPollInterval(), 60000);
+  });
+});
+
+describe("partial config blocks", () => {
+  test("a display block without layout or paging still renders every row", () => {
+    const { module } = loadModule({ display: { showRepoName: false } });
+    receive(module, "GITPUSHY_DATA", { prs: PRS });
+    const dom = module.getDom();
+    assert.equal(dom.querySelectorAll(".gitpushy-row").length, 2);
+    assert.equal(dom.querySelector(".gitpushy-repo"), null);
+    assert.equal(module.pageTimer, null);
+  });
+
+  test("a pager layout falls back to the default page size and interval", () => {
+    const { module } = loadModule({ display: { layout: "pager" } });
+    try {
+      receive(module, "GITPUSHY_DATA", { prs: PRS });
+      assert.equal(module.getDom().querySelectorAll(".gitpushy-row").length, 2);
+      assert.equal(module.config.display.pageIntervalMs, 15000);
+    } finally {
+      clearInterval(module.pageTimer);
+    }
+  });
+
+  test("an alerts block without events uses the default event toggles", () => {
+    const { module } = loadModule({ alerts: { showToasts: true } });
+    receive(module, "GITPUSHY_DATA", {
+      prs: PRS,
+      events: [
+        { type: "opened", at: "2024-05-06T15:30:00Z", details: {}, pr: PRS[0] },
+        { type: "pushed", at: "2024-05-06T15:30:00Z", details: {}, pr: PRS[1] }
+      ]
+    });
+    const alerts = module.notifications.filter((entry) => entry.notification === "SHOW_ALERT");
+    assert.deepEqual(
+      alerts.map((entry) => entry.payload.title),
+      ["New pull request"]
+    );
+  });
+});
@@ -0,0 +1,617 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { startMockGitHub, loadFixture } = require("./support/mock-github");
+const { loadHelper, normalizeConfig, disposeHelper, logger } = require("./support/load-helper");
+
+const TARGET = { owner: "octo-org", repo: "widgets" };
+
+let github;
+let helper;
+
+beforeEach(async () => {
+  github = await startMockGitHub();
+  helper = loadHelper();
+});
+
+afterEach(async () => {
+  disposeHelper(helper);
+  await github.close();
+});
+
+function configFor(overrides = {}) {
+  return normalizeConfig(helper, {
+    ...overrides,
+    auth: { apiBaseUrl: github.url, ...overrides.auth },
+    targets: overrides.targets || [TARGET]
+  });
+}
+
+// Tokens are only sent to the host their credential names, so tests that need one bind it
+// to the mock server.
+function mockCredential() {
+  helper.credentials = { mock: { token: "t", apiBaseUrl: github.url } };
+  return { credential: "mock" };
+}
+
+describe("applyDefaults", () => {
+  test("fills nested defaults and keeps user values", () => {
+    const merged = helper.applyDefaults(
+      { display: { pageSize: 3 }, targets: [TARGET] },
+      { display: { pageSize: 5, layout: "list" }, targets: [], debug: { logApiResponses: false } }
+    );
+    assert.deepEqual(merged, {
+      display: { pageSize: 3, layout: "list" },
+      targets: [TARGET],
+      debug: { logApiResponses: false }
+    });
+  });
+
+  test("keeps keys the defaults don't know and falls back for non-objects", () => {
+    assert.deepEqual(helper.applyDefaults({ extra: 1 }, { a: 2 }), { a: 2, extra: 1 });
+    assert.deepEqual(helper.applyDefaults(null, { a: 2 }), { a: 2 });
+  });
+});
+
+describe("getNextPageUrl", () => {
+  test("picks the next link regardless of order", () => {
+    const header =
+      '<https://api.github.com/x?page=1>; rel="prev", <https://api.github.com/x?page=3>; rel="next", ' +
+      '<https://api.github.com/x?page=5>; rel="last"';
+    assert.equal(helper.getNextPageUrl(header), "https://api.github.com/x?page=3");
+  });
+
+  test("returns null on the last page or without a header", () => {
+    assert.equal(helper.getNextPageUrl('<https://api.github.com/x?page=1>; rel="first"'), null);
+    assert.equal(helper.getNextPageUrl(null), null);
+  });
+});
+
+describe("httpGet", () => {
+  const path = "/repos/octo-org/widgets";
+
+  test("serves from cache within the TTL", async () => {
+    const first = await helper.httpGet(`${github.url}${path}`, null, "repo", 60000);
+    const second = await helper.httpGet(`${github.url}${path}`, null, "repo", 60000);
+    assert.equal(first.default_branch, "main");
+    assert.equal(second, first);
+    assert.equal(github.requestsTo(path).length, 1);
+  });
+
+  test("keeps the same repo on two hosts apart and invalidates it on both", async () => {
+    const enterprise = await startMockGitHub();
+    try {
+      enterprise.override(path, { body: { default_branch: "trunk" } });
+      const key = "repo:octo-org/widgets";
+      const cloud = await helper.httpGet(`${github.url}${path}`, null, key, 60000);
+      const server = await helper.httpGet(`${enterprise.url}${path}`, null, key, 60000);
+      assert.equal(cloud.default_branch, "main");
+      assert.equal(server.default_branch, "trunk");
+
+      helper.invalidateRepoCache("octo-org", "widgets");
+      assert.ok(Array.from(helper.httpCache.values()).every((entry) => entry.fetchedAt === 0));
+      await helper.httpGet(`${github.url}${path}`, null, key, 60000);
+      assert.match(github.requestsTo(path)[1].headers["if-none-match"], /^"[0-9a-f]{40}"$/);
+    } finally {
+      await enterprise.close();
+    }
+  });
+
+  test("only expires searches and GraphQL batches that can include the repo", () => {
+    const entry = (variables) => ({ data: {}, etag: null, fetchedAt: 1, variables });
+    helper.httpCache.set("h search:review-requested:@me is:pr:page:1", entry());
+    helper.httpCache.set("h search:org:octo-org is:pr:page:1", entry());
+    helper.httpCache.set("h search:repo:octo-org/gadgets is:pr:page:1", entry());
+    helper.httpCache.set("h graphql:a", entry({ owner0: "octo-org", name0: "widgets" }));
+    helper.httpCache.set("h graphql:b", entry({ owner0: "octo-org", name0: "gadgets" }));
+
+    helper.invalidateRepoCache("Octo-Org", "Widgets");
+    assert.deepEqual(
+      Array.from(helper.httpCache).map(([key, value]) => `${key.slice(2)} ${value.fetchedAt}`),
+      [
+        "search:review-requested:@me is:pr:page:1 0",
+        "search:org:octo-org is:pr:page:1 0",
+        "search:repo:octo-org/gadgets is:pr:page:1 1",
+        "graphql:a 0",
+        "graphql:b 1"
+      ]
+    );
+  });
+
+  test("revalidates with the ETag once the TTL has passed", async () => {
+    const first = await helper.httpGet(`${github.url}${path}`, null, "repo", 0);
+    const second = await helper.httpGet(`${github.url}${path}`, null, "repo", 0);
+    const requests = github.requestsTo(path);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].headers["if-none-match"], undefined);
+    assert.match(requests[1].headers["if-none-match"], /^"[0-9a-f]{40}"$/);
+    assert.equal(second, first);
+    // The 304 isn't charged against the rate limit.
+    assert.equal(github.limits.remaining, github.limits.limit - 1);
+  });
+
+  test("sends the token with the configured scheme", async () => {
+    await helper.httpGet(`${github.url}${path}`, "secret", "repo", 0, false, "Bearer");
+    assert.equal(github.requestsTo(path)[0].headers.authorization, "Bearer secret");
+  });
+
+  test("turns a 403 rate limit into a backoff until the reset", async () => {
+    github.limits.remaining = 0;
+    const config = configFor();
+    await assert.rejects(helper.httpGet(`${github.url}${path}`, null, "repo", 0), (error) => {
+      assert.equal(error.kind, "rate-limit");
+      assert.equal(error.status, 403);
+      return true;
+    });
+    assert.equal(helper.backoffUntil, github.limits.reset * 1000);
+    assert.equal(helper.isRateLimited(config), true);
+    assert.equal(helper.isRateLimited({ ...config, refresh: { ...config.refresh, backoffOnRateLimit: false } }), false);
+  });
+
+  test("reports a 404 as not-found without retrying", async () => {
+    await assert.rejects(helper.httpGet(`${github.url}/repos/octo-org/missing`, null, "missing", 0), (error) => {
+      assert.equal(error.kind, "not-found");
+      assert.equal(error.status, 404);
+      return true;
+    });
+    assert.equal(github.requestsTo("/repos/octo-org/missing").length, 1);
+  });
+
+  test("retries a 500 before giving up as a server error", async () => {
+    github.override(path, { status: 500, body: { message: "Server Error" } });
+    await assert.rejects(helper.httpGet(`${github.url}${path}`, null, "repo", 0), (error) => {
+      assert.equal(error.kind, "server");
+      assert.equal(error.status, 500);
+      return true;
+    });
+    assert.equal(github.requestsTo(path).length, 3);
+  });
+
+  test("recovers when a retry succeeds", async () => {
+    let calls = 0;
+    github.override(path, () => {
+      calls += 1;
+      return calls === 1 ? { status: 502, body: { message: "Bad Gateway" } } : { body: { default_branch: "trunk" } };
+    });
+    const data = await helper.httpGet(`${github.url}${path}`, null, "repo", 0);
+    assert.equal(data.default_branch, "trunk");
+  });
+});
+
+describe("fetchAllPages", () => {
+  const path = "/repos/octo-org/widgets/pulls";
+
+  test("follows Link headers across pages", async () => {
+    await github.close();
+    github = await startMockGitHub({ maxPerPage: 2 });
+    const pulls = await helper.fetchAllPages(`${github.url}${path}?per_page=100`, null, "pulls", 60000);
+    assert.deepEqual(
+      pulls.map((pr) => pr.number),
+      loadFixture(path).map((pr) => pr.number)
+    );
+    assert.deepEqual(
+      github.requestsTo(path).map((request) => new URLSearchParams(request.query).get("page")),
+      [null, "2"]
+    );
+  });
+
+  test("stops once maxItems is reached", async () => {
+    await github.close();
+    github = await startMockGitHub({ maxPerPage: 1 });
+    const pulls = await helper.fetchAllPages(`${github.url}${path}`, null, "pulls", 60000, 2);
+    assert.equal(pulls.length, 2);
+    assert.equal(github.requestsTo(path).length, 2);
+  });
+
+  test("unwraps search results", async () => {
+    github.override("/search/issues", { body: { total_count: 1, items: [{ number: 7 }] } });
+    const items = await helper.fetchAllPages(`${github.url}/search/issues?q=is:pr`, null, "search", 60000);
+    assert.deepEqual(items, [{ number: 7 }]);
+  });
+});
+
+describe("fetchRepoPulls", () => {
+  test("builds entries from the list, details, reviews and checks", async () => {
+    const config = configFor();
+    const prs = await helper.fetchRepoPulls(TARGET, config, null, "test");
+    assert.deepEqual(
+      prs.map((pr) => pr.number),
+      [18, 15, 12]
+    );
+
+    const [feature, draft, fix] = prs;
+    assert.equal(fix.reviewState, "approved");
+    assert.equal(fix.approvals, 1);
+    assert.equal(fix.checksState, "success");
+    assert.equal(fix.mergeableState, "clean");
+    assert.deepEqual(fix.labels, ["bug"]);
+    assert.equal(fix.authorLogin, "octocat");
+    assert.equal(fix.repoLabel, "widgets");
+
+    assert.equal(feature.reviewState, "review_required");
+    assert.deepEqual(feature.requestedReviewers, ["octocat"]);
+    assert.equal(feature.checksState, "failure");
+    assert.equal(feature.additions, 240);
+
+    assert.equal(draft.draft, true);
+    assert.equal(draft.checksState, "pending");
+
+    const listRequest = github.requestsTo("/repos/octo-org/widgets/pulls")[0];
+    assert.equal(new URLSearchParams(listRequest.query).get("base"), "main");
+  });
+
+  test("drops drafts and applies displayName", async () => {
+    const config = configFor({ query: { includeDrafts: false } });
+    const prs = await helper.fetchRepoPulls({ ...TARGET, displayName: "Widgets" }, config, null, "test");
+    assert.deepEqual(
+      prs.map((pr) => pr.number),
+      [18, 12]
+    );
+    assert.ok(prs.every((pr) => pr.repoLabel === "Widgets"));
+    assert.equal(github.requestsTo("/repos/octo-org/widgets/pulls/15").length, 0);
+  });
+
+  test("skips review and check requests when they are turned off", async () => {
+    const config = configFor({ query: { includeReviews: false, includeChecks: false } });
+    const prs = await helper.fetchRepoPulls(TARGET, config, null, "test");
+    assert.ok(prs.every((pr) => pr.reviewState === null && pr.checksState === null));
+    assert.ok(github.requests.every((request) => !/reviews|commits/.test(request.path)));
+  });
+});
+
+describe("fetchSearchPulls", () => {
+  const searchItem = (repo, number) => ({
+    number,
+    pull_request: {},
+    repository_url: `https://api.github.com/repos/octo-org/${repo}`
+  });
+
+  test("applies the state and limits before fetching details", async () => {
+    github.override("/search/issues", {
+      body: {
+        total_count: 4,
+        items: [searchItem("widgets", 18), searchItem("widgets", 12), searchItem("widgets", 15), searchItem("gadgets", 4)]
+      }
+    });
+    // Closed since the search index last saw it.
+    github.override("/repos/octo-org/gadgets/pulls/4", { body: { number: 4, state: "closed", title: "Old" } });
+    const config = configFor({ limits: { maxPerRepo: 1, maxTotal: 5 } });
+    const prs = await helper.fetchSearchPulls({ search: "review-requested:@me" }, config, null, "test");
+    assert.deepEqual(
+      prs.map((pr) => pr.number),
+      [18]
+    );
+    const query = new URLSearchParams(github.requestsTo("/search/issues")[0].query).get("q");
+    assert.equal(query, "review-requested:@me is:pr is:open");
+    assert.equal(github.requestsTo("/repos/octo-org/widgets/pulls/12").length, 0);
+    assert.equal(github.requestsTo("/repos/octo-org/gadgets/pulls/4").length, 1);
+    assert.equal(github.requestsTo("/repos/octo-org/gadgets/pulls/4/reviews").length, 0);
+  });
+
+  test("only counts PRs that pass the filters and searches in the sort order", async () => {
+    github.override("/search/issues", {
+      body: { total_count: 2, items: [searchItem("widgets", 18), searchItem("widgets", 12)] }
+    });
+    const config = configFor({
+      limits: { maxPerRepo: 1, maxTotal: 5 },
+      filters: { labels: { include: ["bug"] } },
+      sort: { by: ["created_at"] }
+    });
+    const prs = await helper.fetchSearchPulls({ search: "review-requested:@me" }, config, null, "test");
+    assert.deepEqual(
+      prs.map((pr) => pr.number),
+      [12]
+    );
+    const params = new URLSearchParams(github.requestsTo("/search/issues")[0].query);
+    assert.equal(params.get("sort"), "created");
+    assert.equal(params.get("order"), "asc");
+    assert.equal(github.requestsTo("/repos/octo-org/widgets/pulls/18/reviews").length, 0);
+  });
+});
+
+describe("fetchAllTargets", () => {
+  test("keeps healthy targets when another one fails", async () => {
+    const config = configFor({
+      targets: [TARGET, { owner: "octo-org", repo: "missing", defaultBranchOverride: "main" }]
+    });
+    const result = await helper.fetchAllTargets(config, "test");
+    assert.deepEqual(
+      result.prs.map((pr) => pr.number).sort(),
+      [12, 15, 18]
+    );
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].target, "octo-org/missing");
+    assert.equal(result.errors[0].kind, "not-found");
+  });
+
+  test("skips targets the config validation rejects", async () => {
+    const config = configFor({ targets: [TARGET, { owner: "octo-org" }] });
+    const result = await helper.fetchAllTargets(config, "test");
+    assert.equal(result.prs.length, 3);
+    assert.deepEqual(result.errors, []);
+    assert.ok(github.requests.every((request) => !request.path.includes("undefined")));
+  });
+
+  test("reports an org target that can't be listed", async () => {
+    const config = configFor({ targets: [TARGET, { org: "no-such-org" }] });
+    const result = await helper.fetchAllTargets(config, "test");
+    assert.equal(result.prs.length, 3);
+    assert.equal(result.errors.length, 1);
+    assert.equal(result.errors[0].kind, "not-found");
+    assert.equal(result.errors[0].account, true);
+    assert.equal(result.targetCount, 2);
+  });
+
+  test("reports a repo GraphQL can't find as not found", async () => {
+    github.override("/graphql", {
+      body: { data: { r0: null }, errors: [{ type: "NOT_FOUND", message: "Could not resolve" }] }
+    });
+    const config = configFor({ auth: { apiMode: "graphql" } });
+    const [result] = await helper.fetchTargetsGraphql([TARGET], config, ["t"], "test");
+    assert.ok(result instanceof Error);
+    assert.equal(result.kind, "not-found");
+  });
+
+  test("sorts by configured target order when aging is on", async () => {
+    github.override("/search/issues", {
+      body: { total_count: 1, items: [{ number: 4, pull_request: {}, repository_url: "https://api.github.com/repos/octo-org/gadgets" }] }
+    });
+    github.override("/repos/octo-org/gadgets/pulls/4", {
+      body: {
+        number: 4,
+        state: "open",
+        title: "Bump dependencies",
+        created_at: "2024-04-30T10:00:00Z",
+        updated_at: "2024-05-01T10:00:00Z",
+        base: { ref: "main", repo: { full_name: "octo-org/gadgets" } }
+      }
+    });
+    const config = configFor({
+      targets: [{ search: "is:pr" }, TARGET],
+      query: { includeReviews: false, includeChecks: false },
+      aging: { warningHours: 24 },
+      sort: { by: ["repo", "-updated_at"] }
+    });
+    const result = await helper.fetchAllTargets(config, "test");
+    assert.equal(result.prs[0].number, 4);
+    assert.ok(result.prs.every((pr) => pr.agingLevel === "warning"));
+  });
+});
+
+describe("getPullKey", () => {
+  test("keeps the same repo on two hosts apart", () => {
+    const pr = { provider: "github", number: 7, base: { repo: { full_name: "octo-org/widgets" } } };
+    const pulls = [
+      { ...pr, html_url: "https://github.com/octo-org/widgets/pull/7" },
+      { ...pr, html_url: "https://ghe.example.com/octo-org/widgets/pull/7" }
+    ];
+    assert.equal(helper.uniquePulls(pulls).length, 2);
+  });
+
+  test("moves version 1 metrics records to keys with a host", () => {
+    fs.writeFileSync(
+      helper.metricsFile,
+      JSON.stringify({
+        version: 1,
+        records: [{ key: "github:octo-org/widgets#7", provider: "github", repo: "octo-org/widgets", number: 7 }]
+      })
+    );
+    assert.deepEqual(Array.from(helper.loadMetricsStore().keys()), ["github:github.com/octo-org/widgets#7"]);
+  });
+});
+
+describe("fetchAndSend", () => {
+  test("doesn't report a PR that only moved into the limit as opened", async () => {
+    const pulls = "/repos/octo-org/widgets/pulls";
+    configFor({
+      auth: mockCredential(),
+      limits: { maxTotal: 1 },
+      refresh: { listCacheTtlMs: 0, detailsCacheTtlMs: 0 }
+    });
+    await helper.fetchAndSend("test");
+    const [shown] = helper.lastData.get("test");
+
+    github.override(pulls, { body: loadFixture(pulls).filter((pr) => pr.number !== shown.number) });
+    github.override(`${pulls}/${shown.number}`, {
+      body: { ...loadFixture(`${pulls}/${shown.number}`), state: "closed", merged_at: "2024-05-07T09:00:00Z" }
+    });
+    await helper.fetchAndSend("test");
+
+    const data = helper.sent.filter((entry) => entry.notification === "GITPUSHY_DATA").pop().payload;
+    assert.equal(data.prs.length, 1);
+    assert.notEqual(data.prs[0].number, shown.number);
+    assert.deepEqual(
+      data.events.map((event) => `${event.type} #${event.pr.number}`),
+      [`merged #${shown.number}`]
+    );
+  });
+
+  test("runs once more when a webhook arrives during a fetch", async () => {
+    configFor({ auth: mockCredential(), refresh: { listCacheTtlMs: 0 } });
+    const running = helper.fetchAndSend("test");
+    helper.fetchAndSend("test", true);
+    await running;
+    await helper.instanceFetches.get("test");
+    assert.equal(github.requestsTo("/repos/octo-org/widgets/pulls").length, 2);
+    assert.equal(helper.instanceFetches.has("test"), false);
+  });
+
+  test("records metrics for PRs beyond the limits", async () => {
+    configFor({
+      auth: mockCredential(),
+      limits: { maxTotal: 1 },
+      metrics: { enabled: true },
+      query: { includeReviews: false }
+    });
+    await helper.fetchAndSend("test");
+    assert.equal(helper.metrics.size, 3);
+  });
+
+  test("keeps an account's PRs and reports no events while its listing fails", async () => {
+    const repos = "/orgs/octo-org/repos";
+    github.override("/search/issues", { body: { total_count: 0, items: [] } });
+    github.override(repos, { status: 404, body: { message: "Not Found" } });
+    configFor({
+      auth: mockCredential(),
+      targets: [{ search: "is:pr" }, { org: "octo-org" }],
+      refresh: { listCacheTtlMs: 0, repoListCacheTtlMs: 0 }
+    });
+    const events = [];
+    const refresh = async () => {
+      await helper.fetchAndSend("test");
+      const data = helper.sent.filter((entry) => entry.notification === "GITPUSHY_DATA").pop().payload;
+      events.push(data.events.map((event) => `${event.type}#${event.pr.number}`));
+      return data;
+    };
+
+    await refresh();
+    await refresh();
+    github.override(repos, { body: [{ name: "widgets", owner: { login: "octo-org" } }] });
+    assert.equal((await refresh()).prs.length, 3);
+
+    // After a restart the repo list is gone; the PRs from the last refresh stand in for it.
+    helper.repoListCache.clear();
+    github.override(repos, { status: 404, body: { message: "Not Found" } });
+    const listed = github.requestsTo("/repos/octo-org/widgets/pulls").length;
+    const data = await refresh();
+    assert.equal(data.prs.length, 3);
+    assert.equal(data.errors[0].account, true);
+    assert.equal(github.requestsTo("/repos/octo-org/widgets/pulls").length, listed);
+    assert.deepEqual(events, [[], [], [], []]);
+  });
+
+  test("counts the summary and history before limits", async () => {
+    configFor({
+      auth: mockCredential(),
+      limits: { maxPerRepo: 1, maxTotal: 1 },
+      display: { layout: "summary" }
+    });
+    await helper.fetchAndSend("test");
+    const data = helper.sent.filter((entry) => entry.notification === "GITPUSHY_DATA").pop().payload;
+    assert.equal(data.prs.length, 1);
+    assert.equal(data.summary.total.open, 3);
+    assert.equal(helper.history.get("test").pop().byRepo["octo-org/widgets"], 3);
+  });
+});
+
+describe("token sources", () => {
+  test("sends a credential only to the host credentials.json names for it", async () => {
+    helper.credentials = { mock: { token: "secret", apiBaseUrl: github.url }, public: { token: "other" } };
+    assert.equal(await helper.getTargetToken(TARGET, configFor({ auth: { credential: "mock" } })), "secret");
+    const unbound = { name: "Error", kind: "auth" };
+    await assert.rejects(helper.getTargetToken(TARGET, configFor({ auth: { credential: "public" } })), unbound);
+    await assert.rejects(
+      helper.getTargetToken({ ...TARGET, credential: "mock", apiBaseUrl: "http://127.0.0.2:1" }, configFor()),
+      unbound
+    );
+    await assert.rejects(
+      helper.getTargetToken(TARGET, configFor({ auth: { ownerCredentials: { "octo-org": "public" } } })),
+      unbound
+    );
+    // No token anywhere: the other host is still fetched anonymously.
+    assert.equal(await helper.getTargetToken(TARGET, configFor()), null);
+  });
+
+  test("reports an env token that has no credential for the target's host", async () => {
+    process.env.GITHUB_TOKEN = "env-token";
+    try {
+      configFor();
+      await helper.fetchAndSend("test");
+      const error = helper.sent.find((entry) => entry.notification === "GITPUSHY_ERROR").payload;
+      assert.equal(error.kind, "auth");
+      assert.match(error.message, /^octo-org\/widgets: No credential for/);
+      assert.equal(github.requests.length, 0);
+    } finally {
+      delete process.env.GITHUB_TOKEN;
+    }
+  });
+
+  test("only reads files named in the browser config from the module folder", () => {
+    fs.writeFileSync(path.join(helper.path, "github.token"), "local\n");
+    assert.equal(helper.resolveTokenSource({ tokenFile: "github.token" }), "local");
+    assert.equal(helper.resolveTokenSource({ tokenFile: __filename }), null);
+    assert.equal(helper.resolveTokenSource({ tokenFile: path.relative(helper.path, __filename) }), null);
+    assert.equal(helper.readSecret({ secretFile: __filename }, "API"), null);
+    // credentials.json is the mirror owner's own file and may point anywhere.
+    assert.ok(helper.resolveTokenSource({ tokenFile: __filename }, true));
+  });
+});
+
+describe("integrations", () => {
+  test("sends events only where integrations.json says", async () => {
+    fs.writeFileSync(
+      process.env.GITPUSHY_INTEGRATIONS_FILE,
+      JSON.stringify({ hook: { type: "webhook", url: `${github.url}/hook`, headers: { "X-Key": "k" }, retries: 0 } })
+    );
+    helper.integrations = helper.loadIntegrations();
+    github.override("/hook", { status: 204 });
+
+    const config = configFor({
+      integrations: [{ name: "hook", url: "http://127.0.0.2:1/steal", events: ["opened"] }, { name: "missing" }]
+    });
+    const pr = { owner: "octo-org", repo: "widgets", number: 18 };
+    helper.dispatchIntegrations("test", config, [
+      { type: "opened", key: "a", pr },
+      { type: "merged", key: "a", pr }
+    ]);
+    await helper.integrationQueues.get("test:hook");
+
+    const [request] = github.requestsTo("/hook");
+    assert.equal(github.requestsTo("/hook").length, 1);
+    assert.equal(request.headers["x-key"], "k");
+    assert.deepEqual(helper.checkIntegrationNames(config), [
+      { path: "integrations[1]", message: 'no integration named "missing" in integrations.json' }
+    ]);
+  });
+});
+
+describe("registerInstance", () => {
+  test("logs config problems once per distinct config", () => {
+    const before = logger.messages.length;
+    const config = { grouping: { mode: "repos" }, targets: [TARGET] };
+    normalizeConfig(helper, config);
+    normalizeConfig(helper, config);
+    const logged = logger.messages.slice(before).filter((entry) => entry.message.includes("Config problem"));
+    assert.deepEqual(
+      logged.map((entry) => entry.level),
+      ["warn"]
+    );
+    assert.match(logged[0].message, /grouping\.mode: "repos" .*did you mean "repo"/);
+  });
+
+  test("restores the cache file with the configured persistMaxAgeMs", () => {
+    const now = Date.now();
+    const old = now - 2 * 3600000;
+    fs.writeFileSync(
+      helper.cacheFile,
+      JSON.stringify({
+        version: 2,
+        savedAt: old,
+        lastData: { test: { prs: [{ number: 1 }], savedAt: old, history: [] } },
+        httpCache: [
+          ["stale", { data: 1, etag: null, fetchedAt: old }],
+          ["fresh", { data: 2, etag: null, fetchedAt: now }]
+        ],
+        repoMetaCache: []
+      })
+    );
+    helper.persisted = helper.loadPersistentCache();
+    normalizeConfig(helper, { refresh: { persistMaxAgeMs: 3600000 }, targets: [TARGET] });
+    assert.deepEqual(Array.from(helper.httpCache.keys()), ["fresh"]);
+    assert.equal(helper.lastData.has("test"), false);
+  });
+
+  test("only schedules a cache write when the list changed", async () => {
+    normalizeConfig(helper, configFor({ auth: mockCredential() }));
+    await helper.fetchAndSend("test");
+    assert.ok(helper.persistTimer);
+    clearTimeout(helper.persistTimer);
+    helper.persistTimer = null;
+
+    await helper.fetchAndSend("test");
+    assert.equal(helper.persistTimer, null);
+    assert.equal(helper.sent.filter((entry) => entry.notification === "GITPUSHY_DATA").length, 2);
+  });
+});
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const Module = require("module");
+const os = require("os");
+const path = require("path");
+
+const STUBS = {
+  node_helper: path.join(__dirname, "stubs", "node_helper.js"),
+  logger: path.join(__dirname, "stubs", "logger.js")
+};
+
+// MagicMirror provides these two modules at runtime; point them at the stubs.
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolveWithStubs(request, ...rest) {
+  if (Object.prototype.hasOwnProperty.call(STUBS, request)) {
+    return STUBS[request];
+  }
+  return resolveFilename.call(this, request, ...rest);
+};
+
+const HELPER_PATH = path.join(__dirname, "..", "..", "node_helper.js");
+
+// Loads a fresh helper whose state files live in a temp dir, so tests never touch
+// the module folder and never share caches.
+function loadHelper() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gitpushy-test-"));
+  process.env.GITPUSHY_CACHE_FILE = path.join(dir, "cache.json");
+  process.env.GITPUSHY_CREDENTIALS_FILE = path.join(dir, "credentials.json");
+  process.env.GITPUSHY_INTEGRATIONS_FILE = path.join(dir, "integrations.json");
+  process.env.GITPUSHY_METRICS_FILE = path.join(dir, "metrics.json");
+  process.env.GITPUSHY_METRICS_EXPORT_FILE = path.join(dir, "metrics-export.json");
+  // The mock server is another host, so a developer's own token would fail every target.
+  delete process.env.GITHUB_TOKEN;
+
+  delete require.cache[HELPER_PATH];
+  const helper = require(HELPER_PATH);
+  helper.path = dir;
+  // Retries and rate-limit pacing would otherwise wait in real time.
+  helper.sleep = async () => {};
+  helper.start();
+  return helper;
+}
+
+// Registers an instance to get a config with every default applied, without leaving its
+// poll timer running.
+function normalizeConfig(helper, config, instanceId = "test") {
+  helper.registerInstance(instanceId, config);
+  clearInterval(helper.timers.get(instanceId).timer);
+  helper.timers.delete(instanceId);
+  return helper.instances.get(instanceId);
+}
+
+function disposeHelper(helper) {
+  helper.timers.forEach(({ timer }) => clearInterval(timer));
+  helper.timers.clear();
+  clearTimeout(helper.persistTimer);
+  clearTimeout(helper.metricsTimer);
+  helper.persistTimer = null;
+  helper.metricsTimer = null;
+  fs.rmSync(helper.path, { recursive: true, force: true });
+}
+
+module.exports = { loadHelper, normalizeConfig, disposeHelper, logger: require(STUBS.logger) };
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+const GitPushyConfigSchema = require("../../config-schema");
+
+const MODULE_SOURCE = fs.readFileSync(path.join(__dirname, "..", "..", "MMM-GitPushy.js"), "utf8");
+
+// Evaluates MMM-GitPushy.js against a fresh jsdom document and returns a started module
+// instance the way MagicMirror would set it up, with notifications recorded.
+function loadModule(config = {}) {
+  const dom = new JSDOM("<!doctype html><html><body></body></html>");
+  let definition = null;
+  const Module = {
+    register(name, moduleDefinition) {
+      definition = moduleDefinition;
+    }
+  };
+  // moment isn't loaded in tests; formatTime falls back to the raw timestamp.
+  new Function("Module", "moment", "document", "GitPushyConfigSchema", MODULE_SOURCE)(
+    Module,
+    null,
+    dom.window.document,
+    GitPushyConfigSchema
+  );
+
+  const module = Object.assign(Object.create(definition), {
+    identifier: "module_0_MMM-GitPushy",
+    name: "MMM-GitPushy",
+    data: { position: "top_left" },
+    socketNotifications: [],
+    notifications: [],
+    domUpdates: 0,
+    sendSocketNotification(notification, payload) {
+      this.socketNotifications.push({ notification, payload });
+    },
+    sendNotification(notification, payload) {
+      this.notifications.push({ notification, payload });
+    },
+    updateDom() {
+      this.domUpdates += 1;
+    },
+    // Polling is driven by the tests.
+    scheduleUpdate() {}
+  });
+  // MagicMirror merges only the top level, so a partial display: {...} replaces the whole block.
+  module.config = Object.assign({}, definition.defaults, config);
+  module.start();
+
+  return { module, document: dom.window.document, window: dom.window };
+}
+
+module.exports = { loadModule };
@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+// A stand-in for api.github.com: serves test/fixtures/<path>.json with GitHub's
+// pagination, ETag and rate-limit behaviour. Routes can be overridden per test.
+async function startMockGitHub({ maxPerPage = 100, rateLimit = 5000 } = {}) {
+  const overrides = new Map();
+  const requests = [];
+  const limits = { limit: rateLimit, remaining: rateLimit, reset: Math.floor(Date.now() / 1000) + 3600 };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers });
+
+    const send = (status, body, headers = {}) => {
+      const text = typeof body === "string" ? body : JSON.stringify(body);
+      res.writeHead(status, {
+        "content-type": "application/json; charset=utf-8",
+        "x-ratelimit-limit": String(limits.limit),
+        "x-ratelimit-remaining": String(limits.remaining),
+        "x-ratelimit-reset": String(limits.reset),
+        ...headers
+      });
+      res.end(status === 304 ? undefined : text);
+    };
+
+    if (limits.remaining <= 0) {
+      send(403, {
+        message: "API rate limit exceeded for user ID 1.",
+        documentation_url: "https://docs.github.com/rest/overview/resources-in-the-rest-api#rate-limiting"
+      });
+      return;
+    }
+    limits.remaining -= 1;
+
+    const override = overrides.get(url.pathname);
+    if (override) {
+      const reply = typeof override === "function" ? override(req, url) : override;
+      send(reply.status || 200, reply.body === undefined ? {} : reply.body, reply.headers);
+      return;
+    }
+
+    const data = loadFixture(url.pathname);
+    if (data === undefined) {
+      send(404, { message: "Not Found", documentation_url: "https://docs.github.com/rest" });
+      return;
+    }
+
+    let body = data;
+    const headers = {};
+    if (Array.isArray(data)) {
+      const perPage = Math.min(Number(url.searchParams.get("per_page")) || 30, maxPerPage);
+      const page = Number(url.searchParams.get("page")) || 1;
+      const last = Math.max(1, Math.ceil(data.length / perPage));
+      body = data.slice((page - 1) * perPage, page * perPage);
+
+      const pageUrl = (number) => {
+        const next = new URL(url.toString());
+        next.searchParams.set("page", String(number));
+        return `http://${req.headers.host}${next.pathname}${next.search}`;
+      };
+      const links = [];
+      if (page < last) {
+        links.push(`<${pageUrl(page + 1)}>; rel="next"`, `<${pageUrl(last)}>; rel="last"`);
+      }
+      if (page > 1) {
+        links.push(`<${pageUrl(1)}>; rel="first"`, `<${pageUrl(page - 1)}>; rel="prev"`);
+      }
+      if (links.length > 0) {
+        headers.link = links.join(", ");
+      }
+    }
+
+    const etag = `"${crypto.createHash("sha1").update(JSON.stringify(body)).digest("hex")}"`;
+    headers.etag = etag;
+    if (req.headers["if-none-match"] === etag) {
+      // GitHub doesn't charge conditional requests that come back 304.
+      limits.remaining += 1;
+      send(304, "", headers);
+      return;
+    }
+    send(200, body, headers);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    limits,
+    override(pathname, reply) {
+      overrides.set(pathname, reply);
+    },
+    requestsTo(pathname) {
+      return requests.filter((request) => request.path === pathname);
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+function loadFixture(pathname) {
+  const file = path.join(FIXTURES, `${path.normalize(pathname).replace(/^[/\\]+/, "")}.json`);
+  if (!file.startsWith(FIXTURES) || !fs.existsSync(file)) {
+    return undefined;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = { startMockGitHub, loadFixture };
@@ -0,0 +1,15 @@
+// Stand-in for MagicMirror's logger that records messages instead of printing them.
+const messages = [];
+
+const record = (level) => (...args) => {
+  messages.push({ level, message: args.join(" ") });
+};
+
+module.exports = {
+  messages,
+  log: record("log"),
+  info: record("info"),
+  warn: record("warn"),
+  error: record("error"),
+  debug: record("debug")
+};
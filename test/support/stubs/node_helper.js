@@ -0,0 +1,14 @@
+// Stand-in for MagicMirror's node_helper: create() hands back the definition itself and
+// socket notifications are collected instead of sent.
+module.exports = {
+  create(definition) {
+    return {
+      name: "MMM-GitPushy",
+      sent: [],
+      sendSocketNotification(notification, payload) {
+        this.sent.push({ notification, payload });
+      },
+      ...definition
+    };
+  }
+};